@@ -0,0 +1,178 @@
+'use strict'
+
+const { clone } = require('./util')
+
+/**
+ * A least recently used cache for deserialized nodes and resolver results.
+ *
+ * It is bounded by the number of entries and by the total size in bytes.
+ * The size of an entry is the size of the serialized block it was created
+ * from, as the size of a deserialized node cannot be determined reliably.
+ *
+ * The values are copied when they are added and when they are returned, so
+ * that modifying a value that was retrieved from the cache doesn't change
+ * what later lookups return.
+ */
+class NodeCache {
+  constructor (userOptions) {
+    const options = Object.assign({}, NodeCache.defaultOptions, userOptions)
+
+    this.maxSize = options.maxSize
+    this.maxEntries = options.maxEntries
+
+    this.size = 0
+    this.hits = 0
+    this.misses = 0
+
+    // A `Map` iterates in insertion order, so the first item is always the
+    // least recently used one
+    this._entries = new Map()
+  }
+
+  /**
+   * Get a deserialized node.
+   *
+   * @param {CID} cid
+   * @returns {*} - The node or `undefined` if it is not cached
+   */
+  getNode (cid) {
+    return this._get(NodeCache._nodeKey(cid))
+  }
+
+  /**
+   * Add a deserialized node.
+   *
+   * @param {CID} cid
+   * @param {*} node
+   * @param {number} size - Size of the block in bytes
+   * @returns {void}
+   */
+  setNode (cid, node, size) {
+    this._set(NodeCache._nodeKey(cid), node, size)
+  }
+
+  /**
+   * Get the result of resolving a path within a single block.
+   *
+   * @param {CID} cid
+   * @param {string} path
+   * @returns {Object} - The result or `undefined` if it is not cached
+   */
+  getResult (cid, path) {
+    return this._get(NodeCache._resultKey(cid, path))
+  }
+
+  /**
+   * Add the result of resolving a path within a single block.
+   *
+   * @param {CID} cid
+   * @param {string} path
+   * @param {Object} result
+   * @param {number} size - Size of the block in bytes
+   * @returns {void}
+   */
+  setResult (cid, path, result, size) {
+    this._set(NodeCache._resultKey(cid, path), result, size)
+  }
+
+  /**
+   * Remove everything that was cached for a CID.
+   *
+   * @param {CID} cid
+   * @returns {void}
+   */
+  delete (cid) {
+    const nodeKey = NodeCache._nodeKey(cid)
+    const resultPrefix = NodeCache._resultKey(cid, '')
+
+    for (const key of this._entries.keys()) {
+      if (key === nodeKey || key.startsWith(resultPrefix)) {
+        this._remove(key)
+      }
+    }
+  }
+
+  /**
+   * Remove all entries, the counters are kept.
+   *
+   * @returns {void}
+   */
+  clear () {
+    this._entries.clear()
+    this.size = 0
+  }
+
+  /**
+   * Return statistics about the cache.
+   *
+   * @returns {Object} - With the number of `hits`, `misses`, `entries` and the total `size` in bytes
+   */
+  stats () {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      entries: this._entries.size,
+      size: this.size
+    }
+  }
+
+  _get (key) {
+    const entry = this._entries.get(key)
+    if (entry === undefined) {
+      this.misses++
+      return undefined
+    }
+
+    this.hits++
+    // Move it to the end, it's the most recently used entry now
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+    return clone(entry.value)
+  }
+
+  _set (key, value, size) {
+    if (size > this.maxSize) {
+      return
+    }
+
+    this._remove(key)
+    this._entries.set(key, { value: clone(value), size })
+    this.size += size
+
+    for (const oldest of this._entries.keys()) {
+      if (this.size <= this.maxSize && this._entries.size <= this.maxEntries) {
+        break
+      }
+      this._remove(oldest)
+    }
+  }
+
+  _remove (key) {
+    const entry = this._entries.get(key)
+    if (entry !== undefined) {
+      this._entries.delete(key)
+      this.size -= entry.size
+    }
+  }
+
+  static _nodeKey (cid) {
+    return cid.toBaseEncodedString()
+  }
+
+  // CIDs never contain a slash, hence the result keys can't clash with the
+  // node keys
+  static _resultKey (cid, path) {
+    return cid.toBaseEncodedString() + '/' + path
+  }
+}
+
+/**
+ * Default options for the cache.
+ */
+NodeCache.defaultOptions = {
+  // 16 MiB
+  maxSize: 16 * 1024 * 1024,
+  maxEntries: 1000
+}
+
+module.exports = NodeCache
@@ -0,0 +1,177 @@
+'use strict'
+
+const Block = require('ipfs-block')
+const CID = require('cids')
+const varint = require('varint')
+const dagCBOR = require('ipld-dag-cbor')
+
+const { InvalidCarError } = require('./errors')
+
+// Encoding and decoding of CAR (Content Addressable aRchive) v1 files. A CAR
+// file consists of a header and a sequence of blocks. The header is a
+// dag-cbor encoded object with the `roots` and the `version`, each block is
+// its CID followed by its data. Both are prefixed with their length as
+// unsigned varint.
+//
+// https://github.com/ipld/specs/blob/master/block-layer/content-addressable-archives.md
+
+const CAR_VERSION = 1
+
+const withLength = (data) => {
+  return Buffer.concat([Buffer.from(varint.encode(data.length)), data])
+}
+
+/**
+ * Encode the header of a CAR file.
+ *
+ * @param {Array<CID>} roots
+ * @param {function(Error, Buffer)} callback
+ * @returns {void}
+ */
+const encodeHeader = (roots, callback) => {
+  dagCBOR.util.serialize({ roots: roots, version: CAR_VERSION }, (err, header) => {
+    if (err) {
+      return callback(err)
+    }
+    callback(null, withLength(header))
+  })
+}
+
+/**
+ * Encode a block for a CAR file.
+ *
+ * @param {Block} block
+ * @returns {Buffer}
+ */
+const encodeBlock = (block) => {
+  return withLength(Buffer.concat([block.cid.buffer, block.data]))
+}
+
+/**
+ * Decode the header of a CAR file.
+ *
+ * @param {Buffer} section - The header without its length prefix
+ * @param {function(Error, Object)} callback - Called with the header, an object with `roots` and `version`
+ * @returns {void}
+ */
+const decodeHeader = (section, callback) => {
+  dagCBOR.util.deserialize(section, (err, header) => {
+    if (err) {
+      return callback(err)
+    }
+    if (!header || header.version !== CAR_VERSION) {
+      return callback(new InvalidCarError('Only CAR files of version 1 are supported'))
+    }
+    if (!Array.isArray(header.roots) || !header.roots.every(CID.isCID)) {
+      return callback(new InvalidCarError('Invalid CAR header'))
+    }
+    callback(null, header)
+  })
+}
+
+/**
+ * Decode a block of a CAR file.
+ *
+ * @param {Buffer} section - The block without its length prefix
+ * @returns {Block}
+ * @throws {InvalidCarError} If the section doesn't start with a valid CID
+ */
+const decodeBlock = (section) => {
+  let cidLength
+  let cid
+
+  try {
+    // CIDv0 are stored as plain sha2-256 multihash
+    if (section[0] === 0x12 && section[1] === 0x20) {
+      cidLength = 34
+    } else {
+      // Skip the version, the codec and the hash function to get to the
+      // length of the digest
+      cidLength = 0
+      for (let ii = 0; ii < 3; ii++) {
+        varint.decode(section, cidLength)
+        cidLength += varint.decode.bytes
+      }
+      const digestLength = varint.decode(section, cidLength)
+      cidLength += varint.decode.bytes + digestLength
+    }
+    if (cidLength > section.length) {
+      throw new Error('The CID is longer than the section')
+    }
+
+    cid = new CID(section.slice(0, cidLength))
+  } catch (err) {
+    throw new InvalidCarError(`Invalid CID in CAR file: ${err.message}`)
+  }
+
+  return new Block(section.slice(cidLength), cid)
+}
+
+/**
+ * A pull-stream through that splits a CAR file into its sections.
+ *
+ * The input is the file as Buffers of any size, the output are the
+ * sections (the header and the blocks) without their length prefix.
+ *
+ * @returns {function} - A pull-stream through
+ */
+const splitSections = () => (read) => {
+  let buffer = Buffer.alloc(0)
+  let ended = false
+
+  // Returns `null` if there isn't a full section buffered yet
+  const nextSection = () => {
+    let length
+    try {
+      length = varint.decode(buffer)
+    } catch (err) {
+      return null
+    }
+    const start = varint.decode.bytes
+    if (buffer.length < start + length) {
+      return null
+    }
+
+    const section = buffer.slice(start, start + length)
+    buffer = buffer.slice(start + length)
+    return section
+  }
+
+  return function next (end, respond) {
+    if (end) {
+      return read(end, respond)
+    }
+
+    const section = nextSection()
+    if (section !== null) {
+      return respond(null, section)
+    }
+
+    if (ended) {
+      if (buffer.length > 0) {
+        return respond(new InvalidCarError('Unexpected end of CAR file'))
+      }
+      return respond(true)
+    }
+
+    read(null, (end, data) => {
+      if (end === true) {
+        ended = true
+      } else if (end) {
+        return respond(end)
+      } else {
+        buffer = Buffer.concat([buffer, data])
+      }
+      next(null, respond)
+    })
+  }
+}
+
+module.exports = {
+  CAR_VERSION,
+  encodeHeader,
+  encodeBlock,
+  decodeHeader,
+  decodeBlock,
+  splitSections
+}
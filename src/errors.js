@@ -0,0 +1,249 @@
+'use strict'
+
+/**
+ * Base class of all errors. The `code` is meant to be checked by programs,
+ * the message is meant for humans and might change.
+ */
+class IPLDError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code
+   */
+  constructor (message, code) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+/**
+ * There is no IPLD Format for a codec and it couldn't be loaded.
+ */
+class UnsupportedCodecError extends IPLDError {
+  /**
+   * @param {string} codec
+   * @param {Error} [cause] - The error of the `loadFormat` function
+   */
+  constructor (codec, cause) {
+    super(
+      cause ? cause.message : `No resolver found for codec "${codec}"`,
+      'ERR_UNSUPPORTED_CODEC'
+    )
+    this.codec = codec
+    this.cause = cause
+  }
+}
+
+/**
+ * A block isn't available in the block service.
+ */
+class BlockNotFoundError extends IPLDError {
+  /**
+   * @param {CID} cid
+   */
+  constructor (cid) {
+    super(`Block ${cid.toBaseEncodedString()} not found`, 'ERR_BLOCK_NOT_FOUND')
+    this.cid = cid
+  }
+}
+
+/**
+ * A path can't be resolved within a block.
+ */
+class PathNotFoundError extends IPLDError {
+  /**
+   * @param {CID} cid - The CID of the block the path was resolved in
+   * @param {string} path - The path that couldn't be resolved
+   * @param {Error} [cause] - The error of the IPLD Format
+   */
+  constructor (cid, path, cause) {
+    super(
+      `Path "${path}" not found in block ${cid.toBaseEncodedString()}`,
+      'ERR_PATH_NOT_FOUND'
+    )
+    this.cid = cid
+    this.path = path
+    this.cause = cause
+  }
+}
+
+/**
+ * A value that should be a CID isn't one.
+ */
+class InvalidCIDError extends IPLDError {
+  /**
+   * @param {*} cid - The invalid value
+   */
+  constructor (cid) {
+    super('Not a valid cid', 'ERR_INVALID_CID')
+    this.cid = cid
+  }
+}
+
+/**
+ * An IPLD Format failed to serialize a node or to deserialize a block.
+ */
+class SerializationError extends IPLDError {
+  /**
+   * @param {Error} cause - The error of the IPLD Format
+   * @param {CID} [cid] - The CID of the block, if it is known
+   */
+  constructor (cause, cid) {
+    super(`Serialization failed: ${cause.message}`, 'ERR_SERIALIZATION')
+    this.cause = cause
+    this.cid = cid
+  }
+}
+
+/**
+ * An operation was aborted before it finished.
+ */
+class AbortedError extends IPLDError {
+  constructor () {
+    super('The operation was aborted', 'ERR_ABORTED')
+  }
+}
+
+/**
+ * An operation didn't finish within its `timeout`.
+ */
+class TimeoutError extends IPLDError {
+  /**
+   * @param {number} timeout - The timeout in milliseconds
+   */
+  constructor (timeout) {
+    super(`The operation timed out after ${timeout}ms`, 'ERR_TIMEOUT')
+    this.timeout = timeout
+  }
+}
+
+/**
+ * The arguments of a function call are invalid.
+ */
+class InvalidArgumentError extends IPLDError {
+  /**
+   * @param {string} message
+   */
+  constructor (message) {
+    super(message, 'ERR_INVALID_ARGUMENT')
+  }
+}
+
+/**
+ * The data of a block doesn't match the multihash of its CID.
+ */
+class CorruptBlockError extends IPLDError {
+  /**
+   * @param {CID} cid - The CID of the corrupt block
+   */
+  constructor (cid) {
+    super(
+      `Block ${cid.toBaseEncodedString()} does not match its CID`,
+      'ERR_CORRUPT_BLOCK'
+    )
+    this.cid = cid
+  }
+}
+
+/**
+ * A block can't be removed because it is pinned.
+ */
+class PinnedError extends IPLDError {
+  /**
+   * @param {CID} cid - The CID of the pinned block
+   */
+  constructor (cid) {
+    super(`Block ${cid.toBaseEncodedString()} is pinned`, 'ERR_PINNED')
+    this.cid = cid
+  }
+}
+
+/**
+ * A block can't be pinned or unpinned directly because it is pinned
+ * recursively.
+ */
+class PinnedRecursivelyError extends IPLDError {
+  /**
+   * @param {CID} cid - The CID of the pinned block
+   */
+  constructor (cid) {
+    super(
+      `Block ${cid.toBaseEncodedString()} is pinned recursively`,
+      'ERR_PINNED_RECURSIVELY'
+    )
+    this.cid = cid
+  }
+}
+
+/**
+ * A pin that should be removed doesn't exist.
+ */
+class NotPinnedError extends IPLDError {
+  /**
+   * @param {CID} cid
+   */
+  constructor (cid) {
+    super(`Block ${cid.toBaseEncodedString()} is not pinned`, 'ERR_NOT_PINNED')
+    this.cid = cid
+  }
+}
+
+/**
+ * A traversal visited more blocks than its `maxBlocks` option allows.
+ */
+class TooManyBlocksError extends IPLDError {
+  /**
+   * @param {number} maxBlocks
+   */
+  constructor (maxBlocks) {
+    super(
+      `Traversal exceeded the maximum of ${maxBlocks} blocks`,
+      'ERR_TOO_MANY_BLOCKS'
+    )
+    this.maxBlocks = maxBlocks
+  }
+}
+
+/**
+ * A CAR file is malformed or of an unsupported version.
+ */
+class InvalidCarError extends IPLDError {
+  /**
+   * @param {string} message
+   */
+  constructor (message) {
+    super(message, 'ERR_INVALID_CAR')
+  }
+}
+
+/**
+ * The block service doesn't support an operation, e.g. because it isn't
+ * backed by an IPFS Repo.
+ */
+class NotSupportedError extends IPLDError {
+  /**
+   * @param {string} message
+   */
+  constructor (message) {
+    super(message, 'ERR_NOT_SUPPORTED')
+  }
+}
+
+module.exports = {
+  IPLDError,
+  UnsupportedCodecError,
+  BlockNotFoundError,
+  PathNotFoundError,
+  InvalidCIDError,
+  SerializationError,
+  AbortedError,
+  TimeoutError,
+  InvalidArgumentError,
+  CorruptBlockError,
+  PinnedError,
+  PinnedRecursivelyError,
+  NotPinnedError,
+  TooManyBlocksError,
+  InvalidCarError,
+  NotSupportedError
+}
@@ -0,0 +1,52 @@
+'use strict'
+
+const CID = require('cids')
+const base32 = require('base32.js')
+
+const { NotSupportedError } = require('./errors')
+
+// The blockstore of the repo stores every block under the base32 encoded
+// buffer of its CID.
+const cidFromKey = (key) => {
+  const decoder = new base32.Decoder()
+  return new CID(Buffer.from(decoder.write(key.toString().slice(1)).finalize()))
+}
+
+/**
+ * List the CIDs of all blocks that are stored locally.
+ *
+ * Only block services backed by an IPFS Repo can be listed, the blocks of
+ * the exchange are never part of it. As the block service has no way to
+ * list its blocks, the blockstore of its repo is queried directly. Only the
+ * keys are read, not the data of the blocks.
+ *
+ * @param {BlockService} blockService
+ * @param {function(Error, Array<CID>)} callback
+ * @returns {void}
+ */
+const listBlocks = (blockService, callback) => {
+  const repo = blockService._repo
+  if (!repo || !repo.blocks) {
+    return setImmediate(() => {
+      callback(new NotSupportedError('The block service does not support listing blocks'))
+    })
+  }
+
+  repo.blocks.query({ keysOnly: true }, (err, entries) => {
+    if (err) {
+      return callback(err)
+    }
+
+    let cids
+    try {
+      cids = entries.map((entry) => cidFromKey(entry.key))
+    } catch (err) {
+      return callback(err)
+    }
+    callback(null, cids)
+  })
+}
+
+module.exports = {
+  listBlocks
+}
@@ -0,0 +1,151 @@
+'use strict'
+
+/*
+ * Glob patterns for paths. Within a segment `*` matches any number of
+ * characters and `?` a single one, a `**` segment matches any number of
+ * segments, including none.
+ *
+ * As in paths, a backslash escapes the character that follows it, so that
+ * `\*` and `\?` match the characters themselves and `\/` is a slash within a
+ * key, see `src/path.js`.
+ */
+
+const escape = (string) => string.replace(/[\\^$.|+()[\]{}*?/]/g, '\\$&')
+
+/**
+ * Split a pattern into its segments. The escapes are kept.
+ *
+ * @param {string} pattern
+ * @returns {Array<string>}
+ */
+const segments = (pattern) => {
+  const result = []
+  let segment = ''
+  for (let ii = 0; ii < pattern.length; ii++) {
+    if (pattern[ii] === '\\') {
+      segment += pattern.slice(ii, ii + 2)
+      ii++
+    } else if (pattern[ii] === '/') {
+      result.push(segment)
+      segment = ''
+    } else {
+      segment += pattern[ii]
+    }
+  }
+  result.push(segment)
+  return result.filter(Boolean)
+}
+
+/**
+ * Split a single segment of a pattern into its characters and whether they
+ * are wildcards.
+ *
+ * @param {string} segment
+ * @returns {Array<{char: string, wildcard: boolean}>}
+ */
+const tokens = (segment) => {
+  const result = []
+  for (let ii = 0; ii < segment.length; ii++) {
+    if (segment[ii] === '\\') {
+      ii++
+      if (ii < segment.length) {
+        result.push({ char: segment[ii], wildcard: false })
+      }
+    } else {
+      const char = segment[ii]
+      result.push({ char: char, wildcard: char === '*' || char === '?' })
+    }
+  }
+  return result
+}
+
+/**
+ * Return whether a path contains wildcards that aren't escaped.
+ *
+ * @param {string} path
+ * @returns {boolean}
+ */
+exports.isGlob = (path) => tokens(path).some((token) => token.wildcard)
+
+/**
+ * Return the regular expression source of a single segment.
+ *
+ * @param {string} segment
+ * @returns {string}
+ */
+const segmentSource = (segment) => {
+  return tokens(segment).map((token) => {
+    if (!token.wildcard) {
+      return escape(token.char)
+    }
+    return token.char === '*' ? '[^/]*' : '[^/]'
+  }).join('')
+}
+
+/**
+ * Return a segment without its escapes.
+ *
+ * @param {string} segment
+ * @returns {string}
+ */
+const unescape = (segment) => tokens(segment).map((token) => token.char).join('')
+
+/**
+ * Create a regular expression that matches a single segment, e.g. a field
+ * name.
+ *
+ * @param {string} segment - A pattern without any unescaped `/`
+ * @returns {RegExp}
+ */
+exports.segmentToRegExp = (segment) => {
+  return new RegExp(`^${segmentSource(segment)}$`)
+}
+
+/**
+ * Create a function that returns whether a whole path matches a pattern.
+ *
+ * @param {string} pattern
+ * @returns {function(string): boolean}
+ */
+exports.toMatcher = (pattern) => {
+  // Every segment is matched together with the slash in front of it, so that
+  // `**` can also match no segment at all
+  const source = segments(pattern).map((segment) => {
+    if (segment === '**') {
+      return '(?:/[^/]+)*'
+    }
+    return '/' + segmentSource(segment)
+  }).join('')
+
+  const regExp = new RegExp(`^${source}$`)
+  return (path) => regExp.test('/' + path)
+}
+
+/**
+ * Turn a pattern into a selector that matches all the nodes the pattern
+ * matches, see `src/selector.js`.
+ *
+ * @param {string} pattern
+ * @returns {Object}
+ */
+exports.toSelector = (pattern) => {
+  return segments(pattern).reduceRight((next, segment) => {
+    if (segment === '**') {
+      return {
+        exploreRecursive: {
+          limit: { none: {} },
+          sequence: {
+            exploreUnion: [
+              next,
+              { exploreAll: { next: { exploreRecursiveEdge: {} } } }
+            ]
+          }
+        }
+      }
+    }
+    if (exports.isGlob(segment)) {
+      return { exploreMatching: { pattern: segment, next } }
+    }
+    return { exploreFields: { fields: { [unescape(segment)]: next } } }
+  }, { matcher: {} })
+}
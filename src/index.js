@@ -3,33 +3,206 @@
 const Block = require('ipfs-block')
 const pull = require('pull-stream')
 const CID = require('cids')
-const doUntil = require('async/doUntil')
 const IPFSRepo = require('ipfs-repo')
 const BlockService = require('ipfs-block-service')
-const joinPath = require('path').join
-const osPathSep = require('path').sep
 const pullDeferSource = require('pull-defer').source
-const pullTraverse = require('pull-traverse')
+const each = require('async/each')
+const eachSeries = require('async/eachSeries')
 const map = require('async/map')
+const parallel = require('async/parallel')
 const series = require('async/series')
 const waterfall = require('async/waterfall')
 const MemoryStore = require('interface-datastore').MemoryDatastore
 const mergeOptions = require('merge-options')
+const multihash = require('multihashes')
 const ipldDagCbor = require('ipld-dag-cbor')
 const ipldDagPb = require('ipld-dag-pb')
 const ipldRaw = require('ipld-raw')
+const NodeCache = require('./cache')
+const {
+  UnsupportedCodecError,
+  BlockNotFoundError,
+  PathNotFoundError,
+  InvalidCIDError,
+  SerializationError,
+  InvalidArgumentError,
+  CorruptBlockError,
+  PinnedError,
+  TooManyBlocksError,
+  InvalidCarError
+} = require('./errors')
+const PinManager = require('./pin')
+const Prefetcher = require('./prefetch')
+const selectors = require('./selector')
+const glob = require('./glob')
+const ipldPath = require('./path')
+const Transaction = require('./transaction')
+const { listBlocks } = require('./gc')
+const {
+  encodeHeader,
+  encodeBlock,
+  decodeHeader,
+  decodeBlock,
+  splitSections
+} = require('./car')
+const { ProofBlockService } = require('./proof')
+const {
+  abortable,
+  abortableOperation,
+  isEqual,
+  toAsyncIterator,
+  toPromise,
+  traverse,
+  verifyHash
+} = require('./util')
 
 function noop () {}
 
+/**
+ * Call a function once a pull-stream source ends, is aborted or errors.
+ *
+ * @param {function} source - A pull-stream source
+ * @param {function()} callback
+ * @returns {function} - A pull-stream source
+ */
+function onEnd (source, callback) {
+  let ended = false
+  const end = () => {
+    if (!ended) {
+      ended = true
+      callback()
+    }
+  }
+
+  return (abort, cb) => {
+    if (abort) {
+      end()
+    }
+    source(abort, (err, data) => {
+      if (err) {
+        end()
+      }
+      cb(err, data)
+    })
+  }
+}
+
+/**
+ * Index the paths of a block, as returned by `_tree()`.
+ *
+ * @param {Array<{path: string, link: ?CID}>} paths
+ * @returns {{links: Map<string, CID>, fields: Map<string, Array<string>>}} - The links by path and the names of the fields of every path
+ */
+function indexPaths (paths) {
+  const links = new Map()
+  const fields = new Map([['', []]])
+
+  for (const p of paths) {
+    if (p.link) {
+      links.set(p.path, p.link)
+    }
+
+    // Not all formats return the paths of all parents, e.g. dag-pb only
+    // returns `Links/0/Hash` but not `Links/0`
+    const parts = p.path.split('/')
+    for (let ii = 0; ii < parts.length; ii++) {
+      const parent = parts.slice(0, ii).join('/')
+      const child = parts.slice(0, ii + 1).join('/')
+      if (!fields.has(parent)) {
+        fields.set(parent, [])
+      }
+      if (!fields.has(child)) {
+        fields.set(child, [])
+        fields.get(parent).push(parts[ii])
+      }
+    }
+  }
+
+  return { links, fields }
+}
+
+/**
+ * Turn the error of the block service into a typed error.
+ *
+ * @param {CID} cid - The CID of the requested block
+ * @param {Error} err
+ * @returns {Error}
+ */
+function blockServiceError (cid, err) {
+  if (err.code === 'ERR_NOT_FOUND') {
+    return new BlockNotFoundError(cid)
+  }
+  return err
+}
+
+/**
+ * Return whether a path is the same as or below a base path.
+ *
+ * @param {string} base - The base path, an empty string matches every path
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isSubPath (base, path) {
+  return base === '' || path === base || path.startsWith(base + '/')
+}
+
+/**
+ * Return the number of links of the longest path from the root of a DAG.
+ *
+ * The graph is traversed iteratively, so that deep DAGs don't exceed the
+ * call stack.
+ *
+ * @param {string} root - The key of the root
+ * @param {Map<string, Array<string>>} children - The keys of the children of every block
+ * @returns {number}
+ */
+function longestPath (root, children) {
+  const depths = new Map()
+  const stack = [root]
+
+  while (stack.length > 0) {
+    const key = stack[stack.length - 1]
+    if (depths.has(key)) {
+      stack.pop()
+      continue
+    }
+
+    const pending = children.get(key).filter((child) => !depths.has(child))
+    if (pending.length > 0) {
+      stack.push(...pending)
+      continue
+    }
+
+    stack.pop()
+    depths.set(key, children.get(key).reduce((depth, child) => {
+      return Math.max(depth, depths.get(child) + 1)
+    }, 0))
+  }
+
+  return depths.get(root)
+}
+
 class IPLDResolver {
   constructor (userOptions) {
     const options = mergeOptions(IPLDResolver.defaultOptions, userOptions)
 
     if (!options.blockService) {
-      throw new Error('Missing blockservice')
+      throw new InvalidArgumentError('Missing blockservice')
     }
     this.bs = options.blockService
 
+    // Whether the data of every block is checked against its CID
+    this.verifyBlocks = Boolean(options.verifyBlocks)
+
+    // Cache for deserialized nodes and resolver results, disabled by default
+    this.cache = null
+    if (options.cache) {
+      this.cache = new NodeCache(options.cache === true ? {} : options.cache)
+    }
+
+    // Pins protect DAGs from being removed
+    this.pin = new PinManager(this)
+
     // Object with current list of active resolvers
     this.resolvers = {}
 
@@ -39,7 +212,7 @@ class IPLDResolver {
     // Adds support for an IPLD format
     this.support.add = (multicodec, resolver, util) => {
       if (this.resolvers[multicodec]) {
-        throw new Error('Resolver already exists for codec "' + multicodec + '"')
+        throw new InvalidArgumentError('Resolver already exists for codec "' + multicodec + '"')
       }
 
       this.resolvers[multicodec] = {
@@ -49,7 +222,7 @@ class IPLDResolver {
     }
 
     this.support.load = options.loadFormat || ((codec, callback) => {
-      callback(new Error(`No resolver found for codec "${codec}"`))
+      callback(new UnsupportedCodecError(codec))
     })
 
     this.support.rm = (multicodec) => {
@@ -77,297 +250,2314 @@ class IPLDResolver {
       options = {}
     }
 
-    // this removes occurrences of ./, //, ../
-    // makes sure that path never starts with ./ or /
-    // path.join is OS specific. Need to convert back to POSIX format.
-    if (typeof path === 'string') {
-      path = joinPath('/', path)
-        .substr(1)
-        .split(osPathSep)
-        .join('/')
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.get(cid, path, options, cb))
     }
 
-    if (path === '' || !path) {
-      return this._get(cid, (err, node) => {
+    pull(
+      this.resolveStream(cid, path, options),
+      pull.reduce((last, entry) => entry, null, (err, last) => {
         if (err) {
           return callback(err)
         }
         callback(null, {
-          value: node,
+          value: last.value,
+          remainderPath: last.remainderPath,
+          cid: IPLDResolver._maybeCID(last.value) || last.cid
+        })
+      })
+    )
+  }
+
+  getStream (cid, path, options) {
+    const deferred = pullDeferSource()
+
+    this.get(cid, path, options, (err, result) => {
+      if (err) {
+        return deferred.resolve(
+          pull.error(err)
+        )
+      }
+      deferred.resolve(
+        pull.values([result])
+      )
+    })
+
+    return deferred
+  }
+
+  /**
+   * Same as `getStream()`, but returns an async iterator.
+   *
+   * @param {CID} cid
+   * @param {string} [path]
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  getIterator (cid, path, options) {
+    return toAsyncIterator(this.getStream(cid, path, options))
+  }
+
+  /**
+   * Resolve a path and report every block that is traversed.
+   *
+   * The returned pull-stream emits one object per block with:
+   *  - `cid` - the CID of the block
+   *  - `codec` - the codec of the block
+   *  - `path` - the part of the path that was resolved within the block
+   *  - `remainderPath` - the part of the path that is left to resolve
+   *  - `value` - the value the path resolved to within the block
+   *
+   * The last object is the final result, the same one `get()` returns.
+   *
+   * @param {CID} cid
+   * @param {string|Array<string|number>} [path] - The string form of the path or its segments, see `src/path.js`
+   * @param {Object} [options] - The same options as for `get()`
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the resolution
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @returns {function} - A pull-stream source
+   */
+  resolveStream (cid, path, options) {
+    if (typeof path === 'object' && !Array.isArray(path)) {
+      options = path
+      path = undefined
+    }
+
+    options = options || {}
+
+    let segments
+    try {
+      segments = ipldPath.parse(path)
+    } catch (err) {
+      return pull.error(err)
+    }
+
+    if (!CID.isCID(cid)) {
+      return pull.error(new InvalidCIDError(cid))
+    }
+
+    // Without a path, the whole node is returned
+    if (segments.length === 0) {
+      const deferred = pullDeferSource()
+      this._get(cid, (err, node) => {
+        if (err) {
+          return deferred.resolve(pull.error(err))
+        }
+        deferred.resolve(pull.values([{
+          cid: cid,
+          codec: cid.codec,
+          path: '',
           remainderPath: '',
-          cid
+          value: node
+        }]))
+      })
+      return abortable(deferred, options)
+    }
+
+    let done = false
+
+    return abortable((end, respond) => {
+      if (end) {
+        done = true
+        return respond(end)
+      }
+      if (done) {
+        return respond(true)
+      }
+
+      this._getFormat(cid.codec, (err, format) => {
+        if (err) return respond(err)
+
+        // get block
+        // use local resolver
+        // update path value
+        this._resolveSegments(cid, format, segments, (err, result) => {
+          if (err) {
+            return respond(err)
+          }
+
+          const consumed = segments.length - result.remainder.length
+          const entry = {
+            cid: cid,
+            codec: cid.codec,
+            path: ipldPath.serialize(segments.slice(0, consumed)),
+            remainderPath: ipldPath.serialize(result.remainder),
+            value: result.value
+          }
+
+          const value = result.value
+          segments = result.remainder
+          const endReached = segments.length === 0
+          const isTerminal = value !== undefined && !IPLDResolver._maybeCID(value)
+
+          if ((endReached && isTerminal) || options.localResolve) {
+            done = true
+          } else {
+            // continue traversing
+            const link = IPLDResolver._maybeCID(value)
+            if (link) {
+              cid = link
+            }
+          }
+
+          respond(null, entry)
+        })
+      })
+    }, options)
+  }
+
+  /**
+   * Same as `resolveStream()`, but returns an async iterator.
+   *
+   * @param {CID} cid
+   * @param {string} [path]
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  resolveIterator (cid, path, options) {
+    return toAsyncIterator(this.resolveStream(cid, path, options))
+  }
+
+  /**
+   * Create a proof that a path resolves to a certain value.
+   *
+   * The proof contains the minimal set of blocks that is needed to resolve
+   * the path. It can be verified with `verifyProof()`, without access to
+   * the repo.
+   *
+   * @param {CID} cid
+   * @param {string} [path]
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with the proof, an object with `cid`, `path` and `blocks`
+   * @returns {?Promise}
+   */
+  createProof (cid, path, options, callback) {
+    if (typeof path === 'function') {
+      callback = path
+      path = undefined
+    }
+
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof path === 'object' && path !== null && !Array.isArray(path)) {
+      options = path
+      path = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.createProof(cid, path, options, cb))
+    }
+
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    try {
+      path = ipldPath.normalize(path)
+    } catch (err) {
+      return setImmediate(() => callback(err))
+    }
+
+    waterfall([
+      (cb) => pull(
+        this.resolveStream(cid, path, nested()),
+        pull.map((entry) => entry.cid),
+        pull.unique((cid) => cid.toBaseEncodedString()),
+        pull.collect(cb)
+      ),
+      step((cids, cb) => this._getBlocks(cids, cb))
+    ], (err, blocks) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, {
+        cid: cid,
+        path: path,
+        blocks: blocks
+      })
+    })
+  }
+
+  /**
+   * Verify a proof that was created by `createProof()`.
+   *
+   * The data of every block is checked against its CID, then the path is
+   * resolved using only the blocks of the proof. The block service is not
+   * used at all.
+   *
+   * @param {Object} proof - An object with `cid`, `path` and `blocks`
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with the result of resolving the path, the same as `get()` returns
+   * @returns {?Promise}
+   */
+  verifyProof (proof, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.verifyProof(proof, options, cb))
+    }
+
+    if (!proof || !Array.isArray(proof.blocks)) {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('A proof must contain an array of blocks')
+      ))
+    }
+    if (!CID.isCID(proof.cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(proof.cid)))
+    }
+    const invalid = proof.blocks.find((block) => {
+      return !block || !CID.isCID(block.cid) || !Buffer.isBuffer(block.data)
+    })
+    if (invalid !== undefined) {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('The blocks of a proof must contain a CID and a Buffer')
+      ))
+    }
+
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    waterfall([
+      (cb) => each(proof.blocks, step((block, cb) => verifyHash(block, cb)), (err) => cb(err)),
+      step((cb) => {
+        const resolver = new IPLDResolver({
+          blockService: new ProofBlockService(proof.blocks),
+          formats: [],
+          loadFormat: (codec, cb) => this._getFormat(codec, cb)
         })
+        resolver.get(proof.cid, proof.path, nested(), cb)
       })
+    ], callback)
+  }
+
+  /**
+   * Get multiple nodes back from an array of CIDs.
+   *
+   * If no callback is given, a Promise is returned.
+   *
+   * @param {Array<CID>} cids
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Array)} [callback]
+   * @returns {?Promise}
+   */
+  getMany (cids, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
     }
 
-    let value
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.getMany(cids, options, cb))
+    }
 
-    doUntil(
-      (cb) => {
-        this._getFormat(cid.codec, (err, format) => {
-          if (err) return cb(err)
+    const { callback: done, step } = abortableOperation(options, callback)
+    callback = done
 
-          // get block
-          // use local resolver
-          // update path value
-          this.bs.get(cid, (err, block) => {
+    if (!Array.isArray(cids)) {
+      return callback(new InvalidArgumentError('Argument must be an array of CIDs'))
+    }
+    const invalid = cids.find((cid) => !CID.isCID(cid))
+    if (invalid !== undefined) {
+      return setImmediate(() => callback(new InvalidCIDError(invalid)))
+    }
+    waterfall([
+      (cb) => this._getBlocks(cids, cb),
+      step((blocks, cb) => map(blocks, (block, mapCallback) => {
+        this._getFormat(block.cid.codec, (err, format) => {
+          if (err) return mapCallback(err)
+          format.util.deserialize(block.data, (err, node) => {
             if (err) {
-              return cb(err)
+              return mapCallback(new SerializationError(err, block.cid))
             }
-
-            format.resolver.resolve(block.data, path, (err, result) => {
-              if (err) {
-                return cb(err)
-              }
-              value = result.value
-              path = result.remainderPath
-              cb()
-            })
+            mapCallback(null, node)
           })
         })
-      },
-      () => {
-        const endReached = !path || path === '' || path === '/'
-        const isTerminal = value && !IPLDResolver._maybeCID(value)
+      }, cb))
+    ], (err, nodes) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, nodes)
+    })
+  }
+
+  put (node, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.put(node, options, cb))
+    }
+
+    if (!options) {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('IPLDResolver.put requires options')
+      ))
+    }
+
+    // Once aborted, the node isn't stored anymore
+    const { callback: done, step } = abortableOperation(options, callback)
+    callback = done
+
+    if (options.cid !== undefined && !CID.isCID(options.cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(options.cid)))
+    }
+
+    if (options.cid && options.onlyHash) {
+      return setImmediate(() => callback(null, options.cid))
+    }
+
+    waterfall([
+      (cb) => this._createBlock(node, options, cb),
+      step((result, cb) => {
+        if (result.onlyHash) {
+          return cb(null, result.cid)
+        }
+
+        this.bs.put(result.block, (err) => cb(err, result.cid))
+      })
+    ], (err, cid) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, cid)
+    })
+  }
+
+  /**
+   * Store multiple nodes at once.
+   *
+   * The nodes are serialized and hashed concurrently and then stored with a
+   * single batch operation of the block service.
+   *
+   * @param {Array<Object>} nodes - The nodes to store
+   * @param {Object|Array<Object>} options - Options as for `put()`, either a single object for all nodes or an array with one object per node
+   * @param {function(Error, Array<CID>)} [callback]
+   * @returns {?Promise}
+   */
+  putMany (nodes, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.putMany(nodes, options, cb))
+    }
+
+    if (!Array.isArray(nodes)) {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('Argument must be an array of nodes')
+      ))
+    }
+
+    if (!options) {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('IPLDResolver.putMany requires options')
+      ))
+    }
+
+    if (Array.isArray(options) && options.length !== nodes.length) {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('IPLDResolver.putMany requires one options object per node')
+      ))
+    }
 
-        if ((endReached && isTerminal) || options.localResolve) {
-          cid = IPLDResolver._maybeCID(value) || cid
+    const invalid = [].concat(options).find((options) => {
+      return options && options.cid !== undefined && !CID.isCID(options.cid)
+    })
+    if (invalid !== undefined) {
+      return setImmediate(() => callback(new InvalidCIDError(invalid.cid)))
+    }
+
+    // A single options object may contain a signal and a timeout for the
+    // whole operation. Once aborted, the nodes aren't stored anymore.
+    const { callback: done, step } = abortableOperation(
+      Array.isArray(options) ? undefined : options, callback)
+    callback = done
+
+    const items = nodes.map((node, index) => ({
+      node: node,
+      options: Array.isArray(options) ? options[index] : options
+    }))
+
+    waterfall([
+      (cb) => map(items, (item, cb) => {
+        this._createBlock(item.node, item.options, cb)
+      }, cb),
+      step((results, cb) => {
+        const cids = results.map((result) => result.cid)
+        const blocks = results
+          .filter((result) => !result.onlyHash)
+          .map((result) => result.block)
+
+        if (blocks.length === 0) {
+          return cb(null, cids)
+        }
+
+        this.bs.putMany(blocks, (err) => cb(err, cids))
+      })
+    ], (err, cids) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, cids)
+    })
+  }
+
+  /**
+   * Set a value at a path within a DAG.
+   *
+   * All blocks from the one containing the value up to the root are
+   * re-serialized with the same format, CID version and hash algorithm. The
+   * links to them are updated, including the sizes of dag-pb links. The
+   * original blocks are kept.
+   *
+   * The last segment of the path doesn't need to exist, it is added then.
+   * An empty path replaces the root node.
+   *
+   * If no callback is given, a Promise is returned.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {string|Array<string|number>} path
+   * @param {*} value - The new value
+   * @param {Object} [options]
+   * @param {boolean} [options.onlyHash=false] - Only create the new blocks, but don't store them
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with an object with the new root `cid` and the new `blocks`, from the root down
+   * @returns {?Promise}
+   */
+  patch (cid, path, value, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.patch(cid, path, value, options, cb))
+    }
+
+    let transaction
+    try {
+      transaction = this.transaction(cid).set(path, value)
+    } catch (err) {
+      return setImmediate(() => callback(err))
+    }
+    transaction.commit(options, callback)
+  }
+
+  /**
+   * Start a transaction, a batch of changes to the DAG with the root `cid`
+   * that are applied at once, see `Transaction`.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @returns {Transaction}
+   * @throws {InvalidCIDError}
+   */
+  transaction (cid) {
+    return new Transaction(this, cid)
+  }
+
+  treeStream (cid, path, options) {
+    if (typeof path === 'object' && !Array.isArray(path)) {
+      options = path
+      path = undefined
+    }
+
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return pull.error(new InvalidCIDError(cid))
+    }
+
+    const concurrency = options.concurrency === undefined ? 10 : options.concurrency
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      return pull.error(new InvalidArgumentError(`Invalid concurrency "${concurrency}"`))
+    }
+
+    let prefix = ''
+    if (!(typeof path === 'string' && glob.isGlob(path))) {
+      try {
+        prefix = ipldPath.toResolverPath(ipldPath.parse(path))
+      } catch (err) {
+        return pull.error(err)
+      }
+    }
+
+    let p
+
+    if (!options.recursive) {
+      p = pullDeferSource()
+
+      waterfall([
+        (cb) => this._getFormat(cid.codec, cb),
+        (format, cb) => this._getBlock(cid, (err, block) => {
+          if (err) return cb(err)
+          cb(null, format, block)
+        }),
+        (format, block, cb) => format.resolver.tree(block.data, (err, paths) => {
+          if (err) return cb(new SerializationError(err, cid))
+          cb(null, paths)
+        })
+      ], (err, paths) => {
+        if (err) {
+          p.abort(err)
+          return p
+        }
+        p.resolve(pull.values(paths))
+      })
+    }
+
+    // recursive
+    if (options.recursive) {
+      // Blocks are only traversed once unless asked otherwise, which also
+      // guards against cycles
+      const unique = options.unique !== false
+      const maxBlocks = options.maxBlocks === undefined ? Infinity : options.maxBlocks
+      const visited = new Set()
+      let visits = 0
+
+      // A block is only fetched once the traversal gets to it. With a
+      // concurrency above one, the blocks of the links are fetched ahead of
+      // time in traversal order, so that the paths are emitted in the same
+      // order.
+      const fetchTree = (cid, callback) => waterfall([
+        (cb) => this._getFormatAndBlock(cid, cb),
+        (format, block, cb) => this._tree(format, block, (err, paths) => {
+          cb(err, { paths: paths, size: block.data.length })
+        })
+      ], callback)
+      const prefetcher = concurrency > 1
+        ? new Prefetcher(fetchTree, concurrency - 1)
+        : null
+
+      // The paths of the blocks that were fetched are kept for blocks that
+      // occur several times within the graph. The cache is bounded, so
+      // that the memory use doesn't grow with the size of the graph.
+      const trees = unique ? null : new NodeCache()
+      const getTree = (cid, callback) => {
+        const cached = trees ? trees.getNode(cid) : undefined
+        if (cached !== undefined) {
+          return callback(null, cached)
+        }
+
+        const fetch = prefetcher ? prefetcher.get.bind(prefetcher) : fetchTree
+        fetch(cid, (err, tree) => {
+          if (err) {
+            return callback(err)
+          }
+          if (trees) {
+            trees.setNode(cid, tree.paths, tree.size)
+          }
+          if (prefetcher) {
+            prefetcher.prefetch(tree.paths
+              .filter((entry) => entry.link)
+              .map((entry) => entry.link)
+              .filter((link) => {
+                return !visited.has(link.toBaseEncodedString()) &&
+                  !(trees && trees.getNode(link) !== undefined)
+              }))
+          }
+          callback(null, tree.paths)
+        })
+      }
+
+      p = pull(
+        traverse({
+          basePath: null,
+          cid: cid
+        }, (el) => {
+          // pass the paths through the pushable pull stream
+          // continue traversing the graph by returning
+          // the next cids with deferred
+
+          if (typeof el === 'string') {
+            return null
+          }
+
+          // Only the links on the way to the path and below it are followed,
+          // so that blocks elsewhere don't count as traversed
+          if (prefix && el.basePath !== null && !isSubPath(prefix, el.basePath) &&
+              !isSubPath(el.basePath, prefix)) {
+            return null
+          }
+
+          if (unique) {
+            const key = el.cid.toBaseEncodedString()
+            if (visited.has(key)) {
+              return null
+            }
+            visited.add(key)
+          }
+
+          visits++
+          if (visits > maxBlocks) {
+            return pull.error(new TooManyBlocksError(maxBlocks))
+          }
+
+          const deferred = pullDeferSource()
+          let started = false
+
+          return (end, cb) => {
+            if (end && !started) {
+              return cb(end)
+            }
+            if (!started) {
+              started = true
+              getTree(el.cid, (err, paths) => {
+                if (err) {
+                  return deferred.abort(err)
+                }
+
+                deferred.resolve(pull.values(paths.map((p) => {
+                  const base = el.basePath ? el.basePath + '/' + p.path : p.path
+                  if (p.link) {
+                    return {
+                      basePath: base,
+                      cid: p.link
+                    }
+                  }
+                  return base
+                })))
+              })
+            }
+            deferred(end, cb)
+          }
+        }),
+        pull.map((e) => {
+          if (typeof e === 'string') {
+            return e
+          }
+          return e.basePath
+        }),
+        pull.filter(Boolean)
+      )
+
+      if (prefetcher) {
+        p = onEnd(p, () => prefetcher.stop())
+      }
+    }
+
+    p = abortable(p, options)
+
+    // filter by a glob pattern, the full paths are emitted
+    if (typeof path === 'string' && glob.isGlob(path)) {
+      return pull(p, pull.filter(glob.toMatcher(path)))
+    }
+
+    // filter out by path, the paths of the formats aren't escaped
+    if (prefix) {
+      return pull(
+        p,
+        pull.filter((el) => el.startsWith(prefix + '/')),
+        pull.map((el) => el.slice(prefix.length + 1))
+      )
+    }
+
+    return p
+  }
+
+  /**
+   * Get all links of a node.
+   *
+   * Formats can provide a `resolver.links(binaryBlob, callback)` function to
+   * enumerate the links directly, else they are discovered through
+   * `resolver.tree()` and `resolver.isLink()`.
+   *
+   * @param {CID} cid
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Array<Object>)} [callback] - Called with objects containing the `path` within the node and the `cid` it links to
+   * @returns {?Promise}
+   */
+  links (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.links(cid, options, cb))
+    }
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    const { callback: done, step } = abortableOperation(options, callback)
+
+    waterfall([
+      (cb) => this._getFormatAndBlock(cid, cb),
+      step((format, block, cb) => this._links(format, block, cb))
+    ], done)
+  }
+
+  /**
+   * Same as `treeStream()`, but returns an async iterator.
+   *
+   * @param {CID} cid
+   * @param {string} [path]
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  treeIterator (cid, path, options) {
+    return toAsyncIterator(this.treeStream(cid, path, options))
+  }
+
+  /**
+   * Remove a node.
+   *
+   * Pinned blocks can't be removed. With the `recursive` option the node and
+   * all its descendants are removed. Blocks that are pinned or still
+   * reachable from one of the `keep` roots are retained. If a block can't be
+   * traversed (e.g. because it is missing or there is no format for it),
+   * nothing is removed.
+   *
+   * @param {CID} cid
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false] - Whether to remove the descendants as well
+   * @param {Array<CID>} [options.keep=[]] - Roots of DAGs whose blocks must not be removed
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - If `recursive`, called with an object containing the `removed` and the `retained` CIDs
+   * @returns {?Promise}
+   */
+  remove (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.remove(cid, options, cb))
+    }
+
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    // Once aborted, no further block is removed
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    if (!options.recursive) {
+      return waterfall([
+        (cb) => this.pin._isProtected(cid, nested(), cb),
+        step((pinned, cb) => {
+          if (pinned) {
+            return cb(new PinnedError(cid))
+          }
+          this._remove(cid, cb)
+        })
+      ], (err) => callback(err))
+    }
+
+    waterfall([
+      (cb) => this._reachable([cid], nested(), cb),
+      step((candidates, cb) => this._reachable(options.keep || [], nested(), (err, kept) => {
+        cb(err, candidates, kept)
+      })),
+      step((candidates, kept, cb) => this.pin._protected(nested(), (err, pinned) => {
+        cb(err, candidates, kept, pinned)
+      })),
+      (candidates, kept, pinned, cb) => {
+        const result = {
+          removed: [],
+          retained: []
+        }
+        for (const [key, cid] of candidates) {
+          if (kept.has(key) || pinned.has(key)) {
+            result.retained.push(cid)
+          } else {
+            result.removed.push(cid)
+          }
+        }
+
+        eachSeries(result.removed, step((cid, cb) => this._remove(cid, cb)), (err) => {
+          cb(err, result)
+        })
+      }
+    ], callback)
+  }
+
+  /**
+   * Remove all blocks that aren't reachable from the given roots.
+   *
+   * The roots and the pins are walked through all registered formats to mark
+   * the reachable blocks, every other block of the repo is removed. If a
+   * reachable block can't be traversed (e.g. because it is missing or there
+   * is no format for it), nothing is removed.
+   *
+   * There is no lock: a block that is stored while the garbage collection
+   * runs isn't reachable from the roots that were walked before, so it is
+   * removed as well. Don't store blocks while it is running.
+   *
+   * @param {Array<CID>} roots
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Only report the blocks that would be removed
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with an object containing the `removed` CIDs and their total `size` in bytes
+   * @returns {?Promise}
+   */
+  gc (roots, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.gc(roots, options, cb))
+    }
+
+    options = options || {}
+
+    if (!Array.isArray(roots)) {
+      return setImmediate(() => {
+        callback(new InvalidArgumentError('Argument must be an array of CIDs'))
+      })
+    }
+    const invalid = roots.find((cid) => !CID.isCID(cid))
+    if (invalid !== undefined) {
+      return setImmediate(() => callback(new InvalidCIDError(invalid)))
+    }
+
+    // Once aborted, no further block is removed
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    waterfall([
+      (cb) => this._reachable(roots, nested(), cb),
+      step((marked, cb) => this.pin._protected(nested(), (err, pinned) => {
+        if (err) {
+          return cb(err)
+        }
+        for (const [key, cid] of pinned) {
+          marked.set(key, cid)
+        }
+        cb(null, marked)
+      })),
+      step((marked, cb) => listBlocks(this.bs, (err, cids) => cb(err, marked, cids))),
+      (marked, cids, cb) => {
+        const result = {
+          removed: cids.filter((cid) => !marked.has(cid.toBaseEncodedString())),
+          size: 0
+        }
+
+        // Only the blocks that are removed are read, one at a time, to get
+        // their size
+        eachSeries(result.removed, (cid, cb) => waterfall([
+          step((cb) => this.bs.get(cid, cb)),
+          step((block, cb) => {
+            result.size += block.data.length
+            if (options.dryRun) {
+              return cb()
+            }
+            this._remove(cid, cb)
+          })
+        ], (err) => cb(err)), (err) => cb(err, result))
+      }
+    ], callback)
+  }
+
+  /**
+   * Walk through a DAG and emit every block that is reachable.
+   *
+   * The returned pull-stream emits one object per block with:
+   *  - `cid` - the CID of the block
+   *  - `block` - the block itself
+   *  - `node` - the deserialized node
+   *  - `path` - the path from the root to the block
+   *  - `depth` - the number of links from the root to the block
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} [options]
+   * @param {string} [options.order='breadth-first'] - Either `breadth-first` or `depth-first`
+   * @param {number} [options.maxDepth] - The maximum number of links to follow from the root
+   * @param {boolean} [options.unique=false] - Whether blocks that occur several times are only emitted (and traversed) once
+   * @param {number} [options.maxBlocks] - The maximum number of blocks to visit, the stream errors if there are more
+   * @param {function(Object): boolean} [options.filter] - Called with every object before it is emitted, if it returns `false` the block and everything below it is skipped
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the walk
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @returns {function} - A pull-stream source
+   */
+  walkStream (cid, options) {
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return pull.error(new InvalidCIDError(cid))
+    }
+
+    const order = options.order || 'breadth-first'
+    const maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth
+    const maxBlocks = options.maxBlocks === undefined ? Infinity : options.maxBlocks
+    const filter = options.filter || (() => true)
+
+    if (order !== 'breadth-first' && order !== 'depth-first') {
+      return pull.error(new InvalidArgumentError(`Invalid traversal order "${order}"`))
+    }
+
+    const visited = new Set()
+    let visits = 0
+
+    // Returns `null` if the block was already visited or is filtered out
+    const visit = (cid, path, depth, callback) => {
+      const key = cid.toBaseEncodedString()
+      if (options.unique && visited.has(key)) {
+        return callback(null, null)
+      }
+
+      visits++
+      if (visits > maxBlocks) {
+        return callback(new TooManyBlocksError(maxBlocks))
+      }
+
+      this._walkEntry(cid, path, depth, (err, entry) => {
+        if (err) {
+          return callback(err)
+        }
+        if (!filter(entry)) {
+          return callback(null, null)
+        }
+        visited.add(key)
+        callback(null, entry)
+      })
+    }
+
+    const deferred = pullDeferSource()
+
+    visit(cid, '', 0, (err, root) => {
+      if (err) {
+        return deferred.resolve(pull.error(err))
+      }
+      if (root === null) {
+        return deferred.resolve(pull.empty())
+      }
+
+      deferred.resolve(traverse(root, (entry) => {
+        if (entry.depth >= maxDepth) {
+          return null
+        }
+
+        const children = pullDeferSource()
+        waterfall([
+          (cb) => this._getFormat(entry.cid.codec, cb),
+          (format, cb) => this._links(format, entry.block, cb)
+        ], (err, links) => {
+          if (err) {
+            return children.resolve(pull.error(err))
+          }
+
+          children.resolve(pull(
+            pull.values(links),
+            pull.asyncMap((link, cb) => {
+              const path = entry.path ? entry.path + '/' + link.path : link.path
+              visit(link.cid, path, entry.depth + 1, cb)
+            }),
+            pull.filter((child) => child !== null)
+          ))
+        })
+        return children
+      }, order === 'depth-first'))
+    })
+
+    return abortable(deferred, options)
+  }
+
+  /**
+   * Same as `walkStream()`, but returns an async iterator.
+   *
+   * @param {CID} cid
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  walkIterator (cid, options) {
+    return toAsyncIterator(this.walkStream(cid, options))
+  }
+
+  /**
+   * Traverse the parts of a DAG that a selector describes and return a
+   * pull-stream source that emits the nodes it matches.
+   *
+   * Every emitted object has:
+   *  - `path` - the path from the root to the node
+   *  - `cid` - the CID of the block that contains the node
+   *  - `value` - the node
+   *
+   * See `src/selector.js` for the selector language.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} selector
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the traversal
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @returns {function} - A pull-stream source
+   */
+  selectStream (cid, selector, options) {
+    return pull(
+      this._selectStream(cid, selector, options),
+      pull.filter((entry) => entry.type === 'match'),
+      pull.map((entry) => ({
+        path: entry.path,
+        cid: entry.cid,
+        value: entry.value
+      }))
+    )
+  }
+
+  /**
+   * Same as `selectStream()`, but returns an async iterator.
+   *
+   * @param {CID} cid
+   * @param {Object} selector
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  selectIterator (cid, selector, options) {
+    return toAsyncIterator(this.selectStream(cid, selector, options))
+  }
+
+  /**
+   * Find all values whose path matches a glob pattern and return a
+   * pull-stream source that emits them.
+   *
+   * Within a segment `*` matches any number of characters and `?` a single
+   * one, a `**` segment matches any number of segments. Links are followed,
+   * so that a pattern can match values in several blocks. The emitted
+   * objects are the same as for `selectStream()`.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {string} pattern
+   * @param {Object} [options] - The same options as for `selectStream()`
+   * @returns {function} - A pull-stream source
+   */
+  queryStream (cid, pattern, options) {
+    if (typeof pattern !== 'string') {
+      return pull.error(new InvalidArgumentError('The pattern must be a string'))
+    }
+
+    // Several `**` segments may match the same path in several ways
+    const emitted = new Set()
+    return pull(
+      this.selectStream(cid, glob.toSelector(pattern), options),
+      pull.filter((match) => {
+        if (emitted.has(match.path)) {
+          return false
+        }
+        emitted.add(match.path)
+        return true
+      })
+    )
+  }
+
+  /**
+   * Same as `queryStream()`, but returns an async iterator.
+   *
+   * @param {CID} cid
+   * @param {string} pattern
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  queryIterator (cid, pattern, options) {
+    return toAsyncIterator(this.queryStream(cid, pattern, options))
+  }
+
+  /**
+   * Same as `queryStream()`, but calls back with an array of all matches.
+   *
+   * If no callback is given, a Promise is returned.
+   *
+   * @param {CID} cid
+   * @param {string} pattern
+   * @param {Object} [options]
+   * @param {function(Error, Array<Object>)} [callback]
+   * @returns {?Promise}
+   */
+  query (cid, pattern, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.query(cid, pattern, options, cb))
+    }
+
+    pull(
+      this.queryStream(cid, pattern, options),
+      pull.collect(callback)
+    )
+  }
+
+  /**
+   * Get statistics about a DAG.
+   *
+   * The callback is called with an object containing:
+   *  - `blocks` - the number of unique blocks
+   *  - `size` - the total size of the unique blocks in bytes
+   *  - `depth` - the number of links of the longest path from the root
+   *  - `links` - the number of links, including links to the same block
+   *  - `codecs` - an object with the number of `blocks` and their `size` per codec
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false] - Whether to include all descendants, else only the block itself is counted
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the traversal
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback]
+   * @returns {?Promise}
+   */
+  stat (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.stat(cid, options, cb))
+    }
+
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    const stats = {
+      blocks: 0,
+      size: 0,
+      depth: 0,
+      links: 0,
+      codecs: {}
+    }
+    const children = new Map()
+
+    pull(
+      this.walkStream(cid, {
+        unique: true,
+        maxDepth: options.recursive ? Infinity : 0,
+        signal: options.signal,
+        timeout: options.timeout
+      }),
+      pull.asyncMap((entry, cb) => {
+        waterfall([
+          (cb) => this._getFormat(entry.cid.codec, cb),
+          (format, cb) => this._links(format, entry.block, cb)
+        ], (err, links) => cb(err, { entry, links }))
+      }),
+      pull.drain(({ entry, links }) => {
+        const codec = entry.cid.codec
+        const size = entry.block.data.length
+
+        stats.blocks++
+        stats.size += size
+        stats.links += links.length
+        stats.codecs[codec] = stats.codecs[codec] || { blocks: 0, size: 0 }
+        stats.codecs[codec].blocks++
+        stats.codecs[codec].size += size
+
+        children.set(
+          entry.cid.toBaseEncodedString(),
+          links.map((link) => link.cid.toBaseEncodedString())
+        )
+      }, (err) => {
+        if (err) {
+          return callback(err)
+        }
+        if (options.recursive) {
+          stats.depth = longestPath(cid.toBaseEncodedString(), children)
+        }
+        callback(null, stats)
+      })
+    )
+  }
+
+  /**
+   * Find the blocks of a DAG that aren't available.
+   *
+   * The DAG is walked as far as possible, missing blocks are skipped
+   * instead of aborting the traversal.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Array<Object>)} [callback] - Called with objects containing the `cid` of a missing block and the `paths` from the root that link to it
+   * @returns {?Promise}
+   */
+  missing (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.missing(cid, options, cb))
+    }
+
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    this._audit(cid, {
+      recursive: true,
+      verify: false,
+      signal: options.signal,
+      timeout: options.timeout
+    }, (err, report) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, report.missing)
+    })
+  }
+
+  /**
+   * Check the integrity of a DAG.
+   *
+   * The data of every block is checked against its CID. The links of
+   * corrupt blocks aren't followed.
+   *
+   * The callback is called with an object containing:
+   *  - `blocks` - the number of blocks that were checked
+   *  - `corrupt` - the `cid` of every corrupt block and the `paths` from the root that link to it
+   *  - `missing` - the `cid` of every missing block and the `paths` from the root that link to it
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false] - Whether to check all descendants, else only the block itself is checked
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback]
+   * @returns {?Promise}
+   */
+  fsck (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.fsck(cid, options, cb))
+    }
+
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    this._audit(cid, {
+      recursive: Boolean(options.recursive),
+      verify: true,
+      signal: options.signal,
+      timeout: options.timeout
+    }, callback)
+  }
+
+  /**
+   * Compare two DAGs and emit what changed between them.
+   *
+   * Both DAGs are walked in lockstep, subtrees that are linked with the same
+   * CID are skipped. The returned pull-stream emits one object per change
+   * with:
+   *  - `type` - either `added`, `removed` or `changed`
+   *  - `path` - the path from the root to the changed value
+   *  - `old` - the value (or CID if it is a link) in the first DAG, not set if it was `added`
+   *  - `new` - the value (or CID if it is a link) in the second DAG, not set if it was `removed`
+   *
+   * @param {CID} cidA - The root of the old DAG
+   * @param {CID} cidB - The root of the new DAG
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the comparison
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @returns {function} - A pull-stream source
+   */
+  diffStream (cidA, cidB, options) {
+    const invalid = [cidA, cidB].find((cid) => !CID.isCID(cid))
+    if (invalid !== undefined) {
+      return pull.error(new InvalidCIDError(invalid))
+    }
+
+    // Pairs of blocks that still need to be compared don't have a `type`
+    const start = { old: cidA, new: cidB, path: '' }
+
+    return abortable(pull(
+      traverse(start, (el) => {
+        if (el.type !== undefined || el.old.equals(el.new)) {
+          return null
+        }
+
+        const deferred = pullDeferSource()
+        this._diffBlocks(el.old, el.new, el.path, (err, changes) => {
+          if (err) {
+            return deferred.resolve(pull.error(err))
+          }
+          deferred.resolve(pull.values(changes))
+        })
+        return deferred
+      }, true),
+      pull.filter((el) => el.type !== undefined)
+    ), options)
+  }
+
+  /**
+   * Same as `diffStream()`, but returns an async iterator.
+   *
+   * @param {CID} cidA
+   * @param {CID} cidB
+   * @param {Object} [options]
+   * @returns {AsyncIterator}
+   */
+  diffIterator (cidA, cidB, options) {
+    return toAsyncIterator(this.diffStream(cidA, cidB, options))
+  }
+
+  /**
+   * Export a DAG as CAR (Content Addressable aRchive) v1 file.
+   *
+   * All blocks reachable from the given CID are exported, each of them once.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} [options]
+   * @param {string} [options.path] - Only export the blocks needed to resolve this path and the graph below the value it resolves to
+   * @param {number} [options.depth] - The maximum number of links to follow from the root (or from the value the path resolves to)
+   * @param {Object} [options.selector] - Only export the blocks that the selector traverses, can't be combined with `path` or `depth`
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the export
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @returns {function} - A pull-stream source emitting the file as Buffers
+   */
+  exportCar (cid, options) {
+    options = options || {}
+
+    if (!CID.isCID(cid)) {
+      return pull.error(new InvalidCIDError(cid))
+    }
+
+    if (options.selector !== undefined) {
+      if (options.path !== undefined || options.depth !== undefined) {
+        return pull.error(new InvalidArgumentError(
+          'The selector option can\'t be combined with path or depth'
+        ))
+      }
+
+      const deferred = pullDeferSource()
+      encodeHeader([cid], (err, header) => {
+        if (err) {
+          return deferred.resolve(pull.error(err))
+        }
+        deferred.resolve(pull(
+          pull.values([
+            pull.values([header]),
+            pull(
+              this._selectStream(cid, options.selector),
+              pull.filter((entry) => entry.type === 'block'),
+              pull.map((entry) => encodeBlock(entry.block))
+            )
+          ]),
+          pull.flatten()
+        ))
+      })
+      return abortable(deferred, options)
+    }
+
+    let path
+    try {
+      path = ipldPath.normalize(options.path)
+    } catch (err) {
+      return pull.error(err)
+    }
+    const maxDepth = options.depth === undefined ? Infinity : options.depth
+    const deferred = pullDeferSource()
+
+    waterfall([
+      (cb) => encodeHeader([cid], cb),
+      (header, cb) => {
+        if (path === '') {
+          return cb(null, header, [{ cid: cid, path: '' }])
+        }
+        pull(
+          this.resolveStream(cid, path),
+          pull.collect((err, entries) => cb(err, header, entries))
+        )
+      }
+    ], (err, header, entries) => {
+      if (err) {
+        return deferred.resolve(pull.error(err))
+      }
+
+      // The graph is exported from the block the path ends in, but only the
+      // links below the value the path resolves to are followed
+      const last = entries[entries.length - 1]
+      const pathCids = entries.slice(0, -1).map((entry) => entry.cid)
+      const graph = pull(
+        this.walkStream(last.cid, {
+          maxDepth: maxDepth,
+          unique: true,
+          filter: (entry) => entry.depth !== 1 || isSubPath(last.path, entry.path)
+        }),
+        pull.map((entry) => entry.block)
+      )
+
+      const emitted = new Set()
+
+      const blocks = pull(
+        pull.values([
+          pull(
+            pull.values(pathCids),
+            pull.asyncMap((cid, cb) => this._getBlock(cid, cb))
+          ),
+          graph
+        ]),
+        pull.flatten(),
+        pull.filter((block) => {
+          const key = block.cid.toBaseEncodedString()
+          if (emitted.has(key)) {
+            return false
+          }
+          emitted.add(key)
+          return true
+        }),
+        pull.map(encodeBlock)
+      )
+
+      deferred.resolve(pull(
+        pull.values([pull.values([header]), blocks]),
+        pull.flatten()
+      ))
+    })
+
+    return abortable(deferred, options)
+  }
+
+  /**
+   * Import a CAR (Content Addressable aRchive) v1 file.
+   *
+   * The data of every block is checked against its CID before it is stored.
+   * Blocks with a codec that has no IPLD Format are stored nonetheless, but
+   * are reported.
+   *
+   * Once aborted, no further blocks are stored, the blocks that were already
+   * stored are kept.
+   *
+   * @param {function} source - A pull-stream source emitting the file as Buffers
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with an object containing the `roots` of the file and the CIDs of the blocks with an `unsupported` codec
+   * @returns {?Promise}
+   */
+  importCar (source, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.importCar(source, options, cb))
+    }
+
+    if (typeof source !== 'function') {
+      return setImmediate(() => callback(
+        new InvalidArgumentError('Argument must be a pull-stream source')
+      ))
+    }
+
+    let roots = null
+    const unsupported = []
+
+    pull(
+      // The blocks are read through the abortable source, so that none is
+      // stored anymore once aborted
+      abortable(pull(
+        source,
+        splitSections(),
+        pull.asyncMap((section, cb) => {
+          // The first section is the header
+          if (roots === null) {
+            return decodeHeader(section, (err, header) => {
+              if (err) {
+                return cb(err)
+              }
+              roots = header.roots
+              cb(null, null)
+            })
+          }
+
+          let block
+          try {
+            block = decodeBlock(section)
+          } catch (err) {
+            return cb(err)
+          }
+          verifyHash(block, (err) => cb(err, block))
+        }),
+        pull.filter(Boolean)
+      ), options),
+      pull.asyncMap((block, cb) => {
+        this._getFormat(block.cid.codec, (err) => {
+          if (err) {
+            unsupported.push(block.cid)
+          }
+          this.bs.put(block, cb)
+        })
+      }),
+      pull.onEnd((err) => {
+        if (err) {
+          return callback(err)
+        }
+        if (roots === null) {
+          return callback(new InvalidCarError('CAR file is empty'))
+        }
+        callback(null, {
+          roots: roots,
+          unsupported: unsupported
+        })
+      })
+    )
+  }
+
+  /*           */
+  /* internals */
+  /*           */
+
+  _get (cid, callback) {
+    if (this.cache) {
+      const node = this.cache.getNode(cid)
+      if (node !== undefined) {
+        return setImmediate(() => callback(null, node))
+      }
+    }
+
+    waterfall([
+      (cb) => this._getFormat(cid.codec, cb),
+      (format, cb) => this._getBlock(cid, (err, block) => {
+        if (err) return cb(err)
+        cb(null, format, block)
+      }),
+      (format, block, cb) => {
+        format.util.deserialize(block.data, (err, deserialized) => {
+          if (err) {
+            return cb(new SerializationError(err, cid))
+          }
+          if (this.cache) {
+            this.cache.setNode(cid, deserialized, block.data.length)
+          }
+          cb(null, deserialized)
+        })
+      }
+    ], callback)
+  }
+
+  /**
+   * Get the IPLD Format and the block of a CID.
+   *
+   * @param {CID} cid
+   * @param {function(Error, Object, Block)} callback - Called with the format and the block
+   * @returns {void}
+   */
+  _getFormatAndBlock (cid, callback) {
+    this._getFormat(cid.codec, (err, format) => {
+      if (err) return callback(err)
+      this._getBlock(cid, (err, block) => {
+        if (err) return callback(err)
+        callback(null, format, block)
+      })
+    })
+  }
+
+  /**
+   * Remove a single block from the block service and the cache.
+   *
+   * @param {CID} cid
+   * @param {function(Error)} callback
+   * @returns {void}
+   */
+  _remove (cid, callback) {
+    if (this.cache) {
+      this.cache.delete(cid)
+    }
+    this.bs.delete(cid, callback)
+  }
+
+  /**
+   * Find all blocks that are reachable from the given roots.
+   *
+   * @param {Array<CID>} roots
+   * @param {Object} options - The `signal` and the `timeout` of the walks
+   * @param {function(Error, Map<string, CID>)} callback - Called with the CIDs of the blocks keyed by their string representation
+   * @returns {void}
+   */
+  _reachable (roots, options, callback) {
+    const reachable = new Map()
+
+    // Subtrees of blocks that were already reached don't need to be walked
+    // again
+    const filter = (entry) => {
+      const key = entry.cid.toBaseEncodedString()
+      if (reachable.has(key)) {
+        return false
+      }
+      reachable.set(key, entry.cid)
+      return true
+    }
+
+    each(roots, (root, cb) => {
+      pull(
+        this.walkStream(root, {
+          unique: true,
+          filter: filter,
+          signal: options.signal,
+          timeout: options.timeout
+        }),
+        pull.onEnd(cb)
+      )
+    }, (err) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, reachable)
+    })
+  }
+
+  /**
+   * Create the object `walkStream()` emits for a block.
+   *
+   * @param {CID} cid
+   * @param {string} path - The path from the root of the walk
+   * @param {number} depth - The number of links from the root of the walk
+   * @param {function(Error, Object)} callback
+   * @returns {void}
+   */
+  _walkEntry (cid, path, depth, callback) {
+    waterfall([
+      (cb) => this._getFormatAndBlock(cid, cb),
+      (format, block, cb) => format.util.deserialize(block.data, (err, node) => {
+        if (err) return cb(new SerializationError(err, cid))
+        cb(null, {
+          cid: cid,
+          block: block,
+          node: node,
+          path: path,
+          depth: depth
+        })
+      })
+    ], callback)
+  }
+
+  /**
+   * Change the node of a block and create a new block from it, with the
+   * same format, CID version and hash algorithm.
+   *
+   * @param {CID} cid
+   * @param {function(*, function(Error, *))} update - Called with the deserialized node and a callback for the changed node
+   * @param {function(Error, {block: Block, sizeDelta: number})} callback - Called with the new block and the difference in size to the original one
+   * @returns {void}
+   */
+  _patchBlock (cid, update, callback) {
+    waterfall([
+      (cb) => this._getFormatAndBlock(cid, cb),
+      (format, block, cb) => format.util.deserialize(block.data, (err, node) => {
+        if (err) return cb(new SerializationError(err, cid))
+        cb(null, block, node)
+      }),
+      (block, node, cb) => update(node, (err, node) => {
+        cb(err, block, node)
+      }),
+      (block, node, cb) => this._createBlock(node, {
+        format: cid.codec,
+        version: cid.version,
+        hashAlg: multihash.decode(cid.multihash).name
+      }, (err, result) => {
+        if (err) {
+          return cb(err)
+        }
+        cb(null, {
+          block: result.block,
+          sizeDelta: result.block.data.length - block.data.length
+        })
+      })
+    ], callback)
+  }
+
+  /**
+   * Return the cumulative size of a block as used by dag-pb links, i.e. the
+   * size of the block plus the sizes its dag-pb links state.
+   *
+   * @param {CID} cid
+   * @param {function(Error, number)} callback
+   * @returns {void}
+   */
+  _cumulativeSize (cid, callback) {
+    this._getBlock(cid, (err, block) => {
+      if (err) {
+        return callback(err)
+      }
+      if (cid.codec !== 'dag-pb') {
+        return callback(null, block.data.length)
+      }
+      ipldDagPb.util.deserialize(block.data, (err, node) => {
+        if (err) {
+          return callback(new SerializationError(err, cid))
+        }
+        callback(null, node.links.reduce((size, link) => size + link.size, block.data.length))
+      })
+    })
+  }
+
+  /**
+   * Traverse the parts of a DAG that a selector describes.
+   *
+   * Emits objects with a `type` of either `block`, for every block that is
+   * traversed (with its `cid` and the `block`), or `match`, for every
+   * matched node (with its `path`, `cid` and `value`).
+   *
+   * @param {CID} cid
+   * @param {Object} selector
+   * @param {Object} [options] - See `selectStream()`
+   * @returns {function} - A pull-stream source
+   */
+  _selectStream (cid, selector, options) {
+    try {
+      selectors.validate(selector)
+    } catch (err) {
+      return pull.error(err)
+    }
+    if (!CID.isCID(cid)) {
+      return pull.error(new InvalidCIDError(cid))
+    }
+
+    // Every block is only emitted once, even if it is traversed several
+    // times. The loaded blocks are kept in a bounded cache, so that the
+    // memory use doesn't grow with the size of the graph.
+    const emitted = new Set()
+    const loaded = new NodeCache()
+    const load = (cid, callback) => {
+      const key = cid.toBaseEncodedString()
+      const cached = loaded.getNode(cid)
+      if (cached !== undefined) {
+        return callback(null, cached, false)
+      }
+
+      waterfall([
+        (cb) => this._getFormatAndBlock(cid, cb),
+        (format, block, cb) => this._tree(format, block, (err, paths) => {
+          cb(err, format, block, paths)
+        })
+      ], (err, format, block, paths) => {
+        if (err) {
+          return callback(err)
+        }
+        const entry = Object.assign({ format, block }, indexPaths(paths))
+        loaded.setNode(cid, entry, block.data.length)
+        const fresh = !emitted.has(key)
+        emitted.add(key)
+        callback(null, entry, fresh)
+      })
+    }
+
+    // Positions are nodes within a block, links are followed right away
+    const visit = (position, callback) => {
+      const emit = []
+      const locate = (position) => {
+        load(position.cid, (err, entry, fresh) => {
+          if (err) {
+            return callback(err)
+          }
+          if (fresh) {
+            emit.push({ type: 'block', cid: position.cid, block: entry.block })
+          }
+
+          const link = entry.links.get(position.innerPath)
+          if (link) {
+            return locate(Object.assign({}, position, { cid: link, innerPath: '' }))
+          }
+          explore(position, entry)
+        })
+      }
+
+      const explore = (position, entry) => {
+        const node = {
+          fields: entry.fields.get(position.innerPath) || []
+        }
+        if (!selectors.needsValue(position.selector, position.recursion)) {
+          return done(position, node)
+        }
+
+        entry.format.resolver.resolve(entry.block.data, position.innerPath, (err, result) => {
+          if (err) {
+            return callback(new PathNotFoundError(position.cid, position.innerPath, err))
+          }
+          node.value = result.value
+          done(position, node)
+        })
+      }
+
+      const done = (position, node) => {
+        const result = selectors.explore(position.selector, position.recursion, node)
+        if (result.matched) {
+          emit.push({
+            type: 'match',
+            path: position.path,
+            cid: position.cid,
+            value: node.value
+          })
+        }
+
+        const join = (base, field) => base ? base + '/' + field : field
+        result.next.forEach((next) => emit.push({
+          type: 'position',
+          cid: position.cid,
+          innerPath: join(position.innerPath, next.field),
+          path: join(position.path, next.field),
+          selector: next.selector,
+          recursion: next.recursion
+        }))
+        callback(null, emit)
+      }
+
+      locate(position)
+    }
+
+    return abortable(traverse({
+      type: 'position',
+      cid: cid,
+      innerPath: '',
+      path: '',
+      selector: selector,
+      recursion: null
+    }, (position) => {
+      if (position.type !== 'position') {
+        return null
+      }
+
+      const deferred = pullDeferSource()
+      visit(position, (err, entries) => {
+        if (err) {
+          return deferred.resolve(pull.error(err))
+        }
+        deferred.resolve(pull.values(entries))
+      })
+      return deferred
+    }), options)
+  }
+
+  /**
+   * Return all paths of a block and whether they are a link.
+   *
+   * @param {Object} format - The IPLD Format of the block
+   * @param {Block} block
+   * @param {function(Error, Array<Object>)} callback - Called with objects containing the `path` and the `link`, which is `null` if the path isn't a link
+   * @returns {void}
+   */
+  _tree (format, block, callback) {
+    format.resolver.tree(block.data, (err, paths) => {
+      if (err) {
+        return callback(new SerializationError(err, block.cid))
+      }
+      map(paths, (path, cb) => {
+        format.resolver.isLink(block.data, path, (err, link) => {
+          if (err) {
+            return cb(err)
+          }
+          cb(null, { path: path, link: IPLDResolver._maybeCID(link) })
+        })
+      }, callback)
+    })
+  }
 
-          return true
-        } else {
-          value = IPLDResolver._maybeCID(value)
-          // continue traversing
-          if (value) {
-            cid = value
-          }
-          return false
-        }
-      },
-      (err, results) => {
+  /**
+   * Return all links of a block.
+   *
+   * @param {Object} format - The IPLD Format of the block
+   * @param {Block} block
+   * @param {function(Error, Array<Object>)} callback - Called with objects containing the `path` and the `cid`
+   * @returns {void}
+   */
+  _links (format, block, callback) {
+    if (typeof format.resolver.links === 'function') {
+      return format.resolver.links(block.data, (err, links) => {
         if (err) {
           return callback(err)
         }
-        return callback(null, {
-          value: value,
-          remainderPath: path,
-          cid
-        })
-      }
-    )
-  }
-
-  getStream (cid, path, options) {
-    const deferred = pullDeferSource()
+        callback(null, links.map((link) => ({
+          path: link.path,
+          cid: IPLDResolver._maybeCID(link.cid)
+        })))
+      })
+    }
 
-    this.get(cid, path, options, (err, result) => {
+    this._tree(format, block, (err, paths) => {
       if (err) {
-        return deferred.resolve(
-          pull.error(err)
-        )
+        return callback(err)
       }
-      deferred.resolve(
-        pull.values([result])
-      )
+      callback(null, paths
+        .filter((p) => p.link)
+        .map((p) => ({ path: p.path, cid: p.link })))
     })
+  }
 
-    return deferred
+  /**
+   * Return the leaves of a block, those are links and values that don't
+   * contain other paths.
+   *
+   * @param {CID} cid
+   * @param {function(Error, Array<Object>)} callback - Called with objects containing the `path` and either the `link` or the `value`
+   * @returns {void}
+   */
+  _leaves (cid, callback) {
+    waterfall([
+      (cb) => this._getFormatAndBlock(cid, cb),
+      (format, block, cb) => this._tree(format, block, (err, paths) => {
+        cb(err, format, block, paths)
+      }),
+      (format, block, paths, cb) => {
+        const parents = new Set()
+        for (const p of paths) {
+          const parts = p.path.split('/')
+          for (let ii = 1; ii < parts.length; ii++) {
+            parents.add(parts.slice(0, ii).join('/'))
+          }
+        }
+
+        const leaves = paths.filter((p) => p.link || !parents.has(p.path))
+        map(leaves, (p, cb) => {
+          if (p.link) {
+            return cb(null, { path: p.path, link: p.link })
+          }
+          format.resolver.resolve(block.data, p.path, (err, result) => {
+            if (err) {
+              return cb(err)
+            }
+            cb(null, { path: p.path, link: null, value: result.value })
+          })
+        }, cb)
+      }
+    ], callback)
   }
 
   /**
-   * Get multiple nodes back from an array of CIDs.
+   * Compare the leaves of two blocks.
    *
-   * @param {Array<CID>} cids
-   * @param {function(Error, Array)} callback
+   * Links that differ are returned as pairs of CIDs (objects without a
+   * `type`) that need to be compared next.
+   *
+   * @param {CID} cidA
+   * @param {CID} cidB
+   * @param {string} basePath - The path from the roots of the DAGs to the blocks
+   * @param {function(Error, Array<Object>)} callback
    * @returns {void}
    */
-  getMany (cids, callback) {
-    if (!Array.isArray(cids)) {
-      return callback(new Error('Argument must be an array of CIDs'))
-    }
-    this.bs.getMany(cids, (err, blocks) => {
+  _diffBlocks (cidA, cidB, basePath, callback) {
+    const fullPath = (path) => basePath ? basePath + '/' + path : path
+
+    parallel([
+      (cb) => this._leaves(cidA, cb),
+      (cb) => this._leaves(cidB, cb)
+    ], (err, results) => {
       if (err) {
         return callback(err)
       }
-      map(blocks, (block, mapCallback) => {
-        this._getFormat(block.cid.codec, (err, format) => {
-          if (err) return mapCallback(err)
-          format.util.deserialize(block.data, mapCallback)
-        })
-      },
-      callback)
-    })
-  }
 
-  put (node, options, callback) {
-    if (typeof options === 'function') {
-      callback = options
-      return setImmediate(() => callback(
-        new Error('IPLDResolver.put requires options')
-      ))
-    }
-    callback = callback || noop
+      const [leavesA, leavesB] = results
 
-    if (options.cid && CID.isCID(options.cid)) {
-      if (options.onlyHash) {
-        return setImmediate(() => callback(null, options.cid))
+      // Blocks without any paths (e.g. raw blocks) can only be compared
+      // as a whole
+      if (leavesA.length === 0 || leavesB.length === 0) {
+        return callback(null, [{
+          type: 'changed',
+          path: basePath,
+          old: cidA,
+          new: cidB
+        }])
       }
 
-      return this._put(options.cid, node, callback)
-    }
+      const valueOf = (leaf) => leaf.link || leaf.value
+      const byPath = new Map(leavesB.map((leaf) => [leaf.path, leaf]))
+      const changes = []
 
-    this._getFormat(options.format, (err, format) => {
-      if (err) return callback(err)
+      for (const leafA of leavesA) {
+        const path = fullPath(leafA.path)
+        const leafB = byPath.get(leafA.path)
+        byPath.delete(leafA.path)
 
-      format.util.cid(node, options, (err, cid) => {
-        if (err) {
-          return callback(err)
+        if (leafB === undefined) {
+          changes.push({ type: 'removed', path: path, old: valueOf(leafA) })
+        } else if (leafA.link && leafB.link) {
+          if (!leafA.link.equals(leafB.link)) {
+            changes.push({ old: leafA.link, new: leafB.link, path: path })
+          }
+        } else if (leafA.link || leafB.link || !isEqual(leafA.value, leafB.value)) {
+          changes.push({
+            type: 'changed',
+            path: path,
+            old: valueOf(leafA),
+            new: valueOf(leafB)
+          })
         }
+      }
 
-        if (options.onlyHash) {
-          return callback(null, cid)
-        }
+      for (const leafB of byPath.values()) {
+        changes.push({ type: 'added', path: fullPath(leafB.path), new: valueOf(leafB) })
+      }
 
-        this._put(cid, node, callback)
-      })
+      callback(null, changes)
     })
   }
 
-  treeStream (cid, path, options) {
-    if (typeof path === 'object') {
-      options = path
-      path = undefined
-    }
-
-    options = options || {}
+  /**
+   * Walk through a DAG and collect the blocks that are missing or corrupt.
+   *
+   * @param {CID} cid - The root of the DAG
+   * @param {Object} options
+   * @param {boolean} options.recursive - Whether to follow the links
+   * @param {boolean} options.verify - Whether to check the data of the blocks against their CIDs
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the traversal
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} callback - Called with the number of `blocks` that were checked and the `corrupt` and `missing` blocks
+   * @returns {void}
+   */
+  _audit (cid, options, callback) {
+    const missing = new Map()
+    const corrupt = new Map()
+    const visited = new Set()
+    let blocks = 0
 
-    let p
+    // Calls back with the links of the block, or `null` if there is no need
+    // to follow them
+    const visit = (cid, path, callback) => {
+      const key = cid.toBaseEncodedString()
+      const problem = missing.get(key) || corrupt.get(key)
+      if (problem !== undefined) {
+        problem.paths.push(path)
+        return callback(null, null)
+      }
+      if (visited.has(key)) {
+        return callback(null, null)
+      }
+      visited.add(key)
 
-    if (!options.recursive) {
-      p = pullDeferSource()
+      const report = (problems) => {
+        problems.set(key, { cid: cid, paths: [path] })
+        callback(null, null)
+      }
 
+      // The block service is used directly, so that corrupt blocks are
+      // counted even with `verifyBlocks`
       waterfall([
         (cb) => this._getFormat(cid.codec, cb),
         (format, cb) => this.bs.get(cid, (err, block) => {
-          if (err) return cb(err)
+          if (err) return cb(blockServiceError(cid, err))
           cb(null, format, block)
         }),
-        (format, block, cb) => format.resolver.tree(block.data, cb)
-      ], (err, paths) => {
+        (format, block, cb) => {
+          blocks++
+          if (!options.verify && !this.verifyBlocks) {
+            return cb(null, format, block)
+          }
+          verifyHash(block, (err) => cb(err, format, block))
+        }
+      ], (err, format, block) => {
         if (err) {
-          p.abort(err)
-          return p
+          if (err instanceof BlockNotFoundError) {
+            return report(missing)
+          }
+          if (err instanceof CorruptBlockError) {
+            return report(corrupt)
+          }
+          return callback(err)
         }
-        p.resolve(pull.values(paths))
+        if (!options.recursive) {
+          return callback(null, null)
+        }
+        this._links(format, block, callback)
       })
     }
 
-    // recursive
-    if (options.recursive) {
-      p = pull(
-        pullTraverse.widthFirst({
-          basePath: null,
-          cid: cid
-        }, (el) => {
-          // pass the paths through the pushable pull stream
-          // continue traversing the graph by returning
-          // the next cids with deferred
-
-          if (typeof el === 'string') {
-            return pull.empty()
+    pull(
+      abortable(traverse({ cid: cid, path: '' }, (el) => {
+        const children = pullDeferSource()
+        visit(el.cid, el.path, (err, links) => {
+          if (err) {
+            return children.resolve(pull.error(err))
           }
+          if (links === null) {
+            return children.resolve(pull.empty())
+          }
+          children.resolve(pull.values(links.map((link) => ({
+            cid: link.cid,
+            path: el.path ? el.path + '/' + link.path : link.path
+          }))))
+        })
+        return children
+      }), options),
+      pull.onEnd((err) => {
+        if (err) {
+          return callback(err)
+        }
+        callback(null, {
+          blocks: blocks,
+          corrupt: Array.from(corrupt.values()),
+          missing: Array.from(missing.values())
+        })
+      })
+    )
+  }
 
-          const deferred = pullDeferSource()
-          const cid = el.cid
+  /**
+   * Get a block from the block service.
+   *
+   * With the `verifyBlocks` option its data is checked against its CID.
+   *
+   * @param {CID} cid
+   * @param {function(Error, Block)} callback
+   * @returns {void}
+   */
+  _getBlock (cid, callback) {
+    this.bs.get(cid, (err, block) => {
+      if (err) {
+        return callback(blockServiceError(cid, err))
+      }
+      if (!this.verifyBlocks) {
+        return callback(null, block)
+      }
+      verifyHash(block, (err) => {
+        if (err) {
+          return callback(err)
+        }
+        callback(null, block)
+      })
+    })
+  }
 
-          waterfall([
-            (cb) => this._getFormat(cid.codec, cb),
-            (format, cb) => this.bs.get(cid, (err, block) => {
-              if (err) return cb(err)
-              cb(null, format, block)
-            }),
-            (format, block, cb) => format.resolver.tree(block.data, (err, paths) => {
-              if (err) {
-                return cb(err)
-              }
-              map(paths, (p, cb) => {
-                format.resolver.isLink(block.data, p, (err, link) => {
-                  if (err) {
-                    return cb(err)
-                  }
-                  cb(null, { path: p, link: link })
-                })
-              }, cb)
-            })
-          ], (err, paths) => {
-            if (err) {
-              deferred.abort(err)
-              return deferred
-            }
+  /**
+   * Get several blocks from the block service.
+   *
+   * Same as `_getBlock()`, the blocks are requested one by one to know
+   * which one is missing.
+   *
+   * @param {Array<CID>} cids
+   * @param {function(Error, Array<Block>)} callback
+   * @returns {void}
+   */
+  _getBlocks (cids, callback) {
+    map(cids, (cid, cb) => this._getBlock(cid, cb), callback)
+  }
 
-            deferred.resolve(pull.values(paths.map((p) => {
-              const base = el.basePath ? el.basePath + '/' + p.path : p.path
-              if (p.link) {
-                return {
-                  basePath: base,
-                  cid: IPLDResolver._maybeCID(p.link)
-                }
-              }
-              return base
-            })))
-          })
-          return deferred
-        }),
-        pull.map((e) => {
-          if (typeof e === 'string') {
-            return e
-          }
-          return e.basePath
-        }),
-        pull.filter(Boolean)
-      )
+  /**
+   * Resolve a path within a single block.
+   *
+   * @param {CID} cid - The CID of the block
+   * @param {Object} format - The IPLD Format of the block
+   * @param {string} path
+   * @param {function(Error, Object)} callback - Called with the result of the resolver
+   * @returns {void}
+   */
+  _resolve (cid, format, path, callback) {
+    if (this.cache) {
+      const result = this.cache.getResult(cid, path)
+      if (result !== undefined) {
+        return setImmediate(() => callback(null, result))
+      }
     }
 
-    // filter out by path
-    if (path) {
-      return pull(
-        p,
-        pull.map((el) => {
-          if (el.indexOf(path) === 0) {
-            el = el.slice(path.length + 1)
-            return el
-          }
-        }),
-        pull.filter(Boolean)
-      )
-    }
+    this._getBlock(cid, (err, block) => {
+      if (err) {
+        return callback(err)
+      }
 
-    return p
+      format.resolver.resolve(block.data, path, (err, result) => {
+        if (err) {
+          return callback(new PathNotFoundError(cid, path, err))
+        }
+        if (this.cache) {
+          this.cache.setResult(cid, path, result, block.data.length)
+        }
+        callback(null, result)
+      })
+    })
   }
 
-  remove (cids, callback) {
-    this.bs.delete(cids, callback)
-  }
+  /**
+   * Resolve the segments of a path within a single block.
+   *
+   * The resolvers of the IPLD Formats are used as far as possible. As they
+   * don't support keys containing slashes, those are looked up within the
+   * value the resolver returned.
+   *
+   * @param {CID} cid
+   * @param {Object} format - The IPLD Format of the block
+   * @param {Array<string|number>} segments
+   * @param {function(Error, {value: *, remainder: Array<string|number>})} callback - Called with the value and the segments that are left to resolve within the next block
+   * @returns {void}
+   */
+  _resolveSegments (cid, format, segments, callback) {
+    const slash = segments.findIndex((segment) => {
+      return typeof segment === 'string' && segment.includes('/')
+    })
 
-  /*           */
-  /* internals */
-  /*           */
+    if (slash === -1) {
+      return this._resolve(cid, format, ipldPath.toResolverPath(segments), (err, result) => {
+        if (err) {
+          return callback(err)
+        }
+        // The remainder path is always the end of the given path
+        const remainder = (result.remainderPath || '').split('/').filter(Boolean)
+        callback(null, {
+          value: result.value,
+          remainder: segments.slice(segments.length - remainder.length)
+        })
+      })
+    }
 
-  _get (cid, callback) {
-    waterfall([
-      (cb) => this._getFormat(cid.codec, cb),
-      (format, cb) => this.bs.get(cid, (err, block) => {
-        if (err) return cb(err)
-        cb(null, format, block)
-      }),
-      (format, block, cb) => {
-        format.util.deserialize(block.data, (err, deserialized) => {
-          if (err) {
-            return cb(err)
-          }
-          cb(null, deserialized)
+    this._resolveSegments(cid, format, segments.slice(0, slash), (err, result) => {
+      if (err) {
+        return callback(err)
+      }
+      // A link was reached before
+      if (result.remainder.length > 0) {
+        return callback(null, {
+          value: result.value,
+          remainder: result.remainder.concat(segments.slice(slash))
         })
       }
-    ], callback)
+
+      let value = result.value
+      let ii = slash
+      for (; ii < segments.length && !IPLDResolver._maybeCID(value); ii++) {
+        const segment = segments[ii]
+        const found = Array.isArray(value)
+          ? typeof segment === 'number' && segment < value.length
+          : typeof value === 'object' && value !== null && !Buffer.isBuffer(value) &&
+            Object.prototype.hasOwnProperty.call(value, segment)
+        if (!found) {
+          const path = ipldPath.serialize(segments.slice(0, ii + 1))
+          return callback(new PathNotFoundError(cid, path))
+        }
+        value = value[segment]
+      }
+
+      callback(null, { value: value, remainder: segments.slice(ii) })
+    })
   }
 
   _getFormat (codec, callback) {
@@ -377,7 +2567,11 @@ class IPLDResolver {
 
     // If not supported, attempt to dynamically load this format
     this.support.load(codec, (err, format) => {
-      if (err) return callback(err)
+      if (err) {
+        return callback(err instanceof UnsupportedCodecError
+          ? err
+          : new UnsupportedCodecError(codec, err))
+      }
       this.resolvers[codec] = format
       callback(null, format)
     })
@@ -388,7 +2582,10 @@ class IPLDResolver {
 
     waterfall([
       (cb) => this._getFormat(cid.codec, cb),
-      (format, cb) => format.util.serialize(node, cb),
+      (format, cb) => format.util.serialize(node, (err, buf) => {
+        if (err) return cb(new SerializationError(err, cid))
+        cb(null, buf)
+      }),
       (buf, cb) => this.bs.put(new Block(buf, cid), cb)
     ], (err) => {
       if (err) {
@@ -398,6 +2595,50 @@ class IPLDResolver {
     })
   }
 
+  /**
+   * Serialize a node into a block.
+   *
+   * The `options` are the same as for `put()`. The callback is called with
+   * an object containing the `cid`, the `block` and whether the block should
+   * not be stored (`onlyHash`).
+   *
+   * @param {Object} node
+   * @param {Object} options
+   * @param {function(Error, Object)} callback
+   * @returns {void}
+   */
+  _createBlock (node, options, callback) {
+    options = options || {}
+
+    waterfall([
+      (cb) => {
+        if (options.cid && CID.isCID(options.cid)) {
+          return cb(null, options.cid)
+        }
+
+        this._getFormat(options.format, (err, format) => {
+          if (err) return cb(err)
+          format.util.cid(node, options, (err, cid) => {
+            if (err) return cb(new SerializationError(err))
+            cb(null, cid)
+          })
+        })
+      },
+      (cid, cb) => this._getFormat(cid.codec, (err, format) => {
+        if (err) return cb(err)
+        cb(null, format, cid)
+      }),
+      (format, cid, cb) => format.util.serialize(node, (err, buf) => {
+        if (err) return cb(new SerializationError(err, cid))
+        cb(null, {
+          cid: cid,
+          block: new Block(buf, cid),
+          onlyHash: Boolean(options.onlyHash)
+        })
+      })
+    ], callback)
+  }
+
   /**
    * Return a CID instance if it is a link.
    *
@@ -429,10 +2670,16 @@ IPLDResolver.defaultOptions = {
  * Create an IPLD resolver with an in memory blockservice and
  * repo.
  *
- * @param {function(Error, IPLDResolver)} callback
- * @returns {void}
+ * If no callback is given, a Promise is returned.
+ *
+ * @param {function(Error, IPLDResolver)} [callback]
+ * @returns {?Promise}
  */
 IPLDResolver.inMemory = function (callback) {
+  if (typeof callback !== 'function') {
+    return toPromise((cb) => IPLDResolver.inMemory(cb))
+  }
+
   const repo = new IPFSRepo('in-memory', {
     storageBackends: {
       root: MemoryStore,
@@ -454,4 +2701,6 @@ IPLDResolver.inMemory = function (callback) {
   })
 }
 
+IPLDResolver.errors = require('./errors')
+
 module.exports = IPLDResolver
@@ -0,0 +1,272 @@
+'use strict'
+
+const CID = require('cids')
+const { DAGNode } = require('ipld-dag-pb')
+
+const { InvalidArgumentError, PathNotFoundError } = require('./errors')
+const ipldPath = require('./path')
+
+// The value that removes the last segment of a path instead of setting it
+const REMOVE = {}
+
+/**
+ * Return whether a value is a plain map, i.e. no list, Buffer or CID.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isMap = (value) => {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    !Buffer.isBuffer(value) && !CID.isCID(value)
+}
+
+/**
+ * Set a value within a node made of plain maps and lists, e.g. a dag-cbor
+ * node. The node isn't modified, all maps and lists along the path are
+ * copied. If the value is `REMOVE`, the last segment is removed.
+ *
+ * @param {*} node
+ * @param {Array<string|number>} segments
+ * @param {*} value
+ * @returns {*} - The new node or `undefined` if the path doesn't exist
+ */
+const setPlain = (node, segments, value) => {
+  if (segments.length === 0) {
+    return value
+  }
+
+  const segment = segments[0]
+  const rest = segments.slice(1)
+
+  if (Array.isArray(node)) {
+    // The item after the last one can be set to append to the list
+    if (typeof segment !== 'number' || segment > node.length ||
+        (segment === node.length && rest.length > 0)) {
+      return undefined
+    }
+    if (rest.length === 0 && value === REMOVE) {
+      if (segment === node.length) {
+        return undefined
+      }
+      const copy = node.slice()
+      copy.splice(segment, 1)
+      return copy
+    }
+    const child = setPlain(node[segment], rest, value)
+    if (child === undefined) {
+      return undefined
+    }
+    const copy = node.slice()
+    copy[segment] = child
+    return copy
+  }
+
+  if (isMap(node)) {
+    const key = String(segment)
+    const exists = Object.prototype.hasOwnProperty.call(node, key)
+    if (!exists && (rest.length > 0 || value === REMOVE)) {
+      return undefined
+    }
+    if (rest.length === 0 && value === REMOVE) {
+      const copy = Object.assign({}, node)
+      delete copy[key]
+      return copy
+    }
+    const child = setPlain(node[key], rest, value)
+    if (child === undefined) {
+      return undefined
+    }
+    return Object.assign({}, node, { [key]: child })
+  }
+
+  return undefined
+}
+
+/**
+ * Set a value within a dag-pb node.
+ *
+ * Supported are `Data`, `Links/<index or name>` (an object with `name`,
+ * `size` and `cid`), its `Hash`, `Name` and `Tsize`, as well as `<name>` for
+ * the CID of a named link. Setting a link with a new name or the index after
+ * the last link adds a link. Only links can be removed.
+ *
+ * @param {DAGNode} node
+ * @param {Array<string|number>} segments
+ * @param {*} value
+ * @param {Object} linkSize - How the size of a link changes if its CID is replaced, see `setIn()`
+ * @param {function(Error, DAGNode)} callback - Called with `undefined` if the path doesn't exist
+ * @returns {void}
+ */
+const setDagPb = (node, segments, value, linkSize, callback) => {
+  let data = node.data
+  const links = node.links.map((link) => ({
+    name: link.name,
+    size: link.size,
+    cid: link.cid
+  }))
+
+  const findLink = (id) => {
+    if (typeof id === 'number') {
+      return id
+    }
+    return links.findIndex((link) => link.name === id)
+  }
+  const checkCid = (value) => {
+    if (!CID.isCID(value)) {
+      throw new InvalidArgumentError('The value of a dag-pb link must be a CID')
+    }
+    return value
+  }
+  const replaceCid = (link) => {
+    link.cid = checkCid(value)
+    link.size = linkSize.size === undefined
+      ? link.size + (linkSize.delta || 0)
+      : linkSize.size
+  }
+
+  try {
+    if (value === REMOVE) {
+      const isLink = (segments[0] === 'Links' && segments.length === 2) ||
+        (segments.length === 1 && segments[0] !== 'Data')
+      if (!isLink) {
+        throw new InvalidArgumentError('Only links can be removed from dag-pb nodes')
+      }
+      const index = findLink(segments[segments.length - 1])
+      if (links[index] === undefined) {
+        return callback(null, undefined)
+      }
+      links.splice(index, 1)
+    } else if (segments.length === 1 && segments[0] === 'Data') {
+      if (!Buffer.isBuffer(value)) {
+        throw new InvalidArgumentError('The Data of a dag-pb node must be a Buffer')
+      }
+      data = value
+    } else if (segments[0] === 'Links' && segments.length === 2) {
+      let index = segments[1] === links.length ? links.length : findLink(segments[1])
+      if (index === -1 && typeof segments[1] === 'string') {
+        index = links.length
+      }
+      if (index === -1 || !isMap(value)) {
+        return callback(null, undefined)
+      }
+      const name = typeof segments[1] === 'string' ? segments[1] : ''
+      links[index] = {
+        name: value.name || name,
+        size: value.size || 0,
+        cid: checkCid(value.cid)
+      }
+    } else if (segments[0] === 'Links' && segments.length === 3) {
+      const link = links[findLink(segments[1])]
+      if (link === undefined) {
+        return callback(null, undefined)
+      }
+      switch (segments[2]) {
+        case 'Hash':
+          replaceCid(link)
+          break
+        case 'Name':
+          link.name = String(value)
+          break
+        case 'Tsize':
+          link.size = value
+          break
+        default:
+          return callback(null, undefined)
+      }
+    } else if (segments.length === 1 && typeof segments[0] === 'string' && findLink(segments[0]) !== -1) {
+      replaceCid(links[findLink(segments[0])])
+    } else {
+      return callback(null, undefined)
+    }
+  } catch (err) {
+    return callback(err)
+  }
+
+  DAGNode.create(data, links, callback)
+}
+
+/**
+ * Set a value at a path within a node.
+ *
+ * Replacing the CID of a dag-pb link also changes its size, either by the
+ * `delta` of `linkSize` if the linked DAG was changed, or to the `size` of
+ * `linkSize` if the link points to a different DAG. Without either, the size
+ * stays the same.
+ *
+ * @param {CID} cid - The CID of the block of the node
+ * @param {*} node - The deserialized node
+ * @param {Array<string|number>} segments - The path within the node
+ * @param {*} value
+ * @param {Object} linkSize
+ * @param {number} [linkSize.delta] - The change of the cumulative size of the linked DAG
+ * @param {number} [linkSize.size] - The cumulative size of the new linked DAG
+ * @param {function(Error, *)} callback - Called with the new node
+ * @returns {void}
+ */
+const setIn = (cid, node, segments, value, linkSize, callback) => {
+  if (segments.length === 0 && value === REMOVE) {
+    return callback(new InvalidArgumentError('The root of a DAG cannot be removed'))
+  }
+
+  const done = (err, result) => {
+    if (err) {
+      return callback(err)
+    }
+    if (result === undefined) {
+      return callback(new PathNotFoundError(cid, ipldPath.serialize(segments)))
+    }
+    callback(null, result)
+  }
+
+  if (segments.length === 0) {
+    return done(null, value)
+  }
+  if (cid.codec === 'dag-pb') {
+    return setDagPb(node, segments, value, linkSize, done)
+  }
+  done(null, setPlain(node, segments, value))
+}
+
+/**
+ * Remove the value at a path within a node.
+ *
+ * @param {CID} cid - The CID of the block of the node
+ * @param {*} node - The deserialized node
+ * @param {Array<string|number>} segments - The path within the node
+ * @param {function(Error, *)} callback - Called with the new node
+ * @returns {void}
+ */
+const removeIn = (cid, node, segments, callback) => {
+  setIn(cid, node, segments, REMOVE, {}, callback)
+}
+
+/**
+ * Set a link at a path within a node.
+ *
+ * Within dag-pb nodes a path of a single name refers to the link with that
+ * name, which is added if it doesn't exist yet. Everywhere else the link is
+ * set like any other value.
+ *
+ * @param {CID} cid - The CID of the block of the node
+ * @param {*} node - The deserialized node
+ * @param {Array<string|number>} segments - The path within the node
+ * @param {CID} target - The CID to link to
+ * @param {number} size - The cumulative size of the linked DAG, used for dag-pb links
+ * @param {function(Error, *)} callback - Called with the new node
+ * @returns {void}
+ */
+const linkIn = (cid, node, segments, target, size, callback) => {
+  const isName = segments.length === 1 && typeof segments[0] === 'string' &&
+    segments[0] !== 'Data' && segments[0] !== 'Links'
+  if (cid.codec === 'dag-pb' && isName) {
+    const link = { name: segments[0], size: size, cid: target }
+    return setIn(cid, node, ['Links', segments[0]], link, {}, callback)
+  }
+  setIn(cid, node, segments, target, { size: size }, callback)
+}
+
+module.exports = {
+  setIn,
+  removeIn,
+  linkIn
+}
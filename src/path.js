@@ -0,0 +1,133 @@
+'use strict'
+
+const { InvalidArgumentError } = require('./errors')
+
+/*
+ * IPLD paths are sequences of segments. A segment is either a map key (a
+ * string) or a list index (a number).
+ *
+ * In their string form the segments are separated by slashes. A backslash
+ * escapes the character that follows it, so that keys may contain slashes
+ * (`a\/b`) and backslashes (`a\\b`). Unescaped segments that are empty or
+ * `.` are ignored and `..` removes the previous segment. Unescaped segments
+ * that are non-negative integers are list indexes. To use any of these as
+ * map key, escape their first character, e.g. `\..` or `\0`.
+ *
+ * The string form is the same on every operating system.
+ */
+
+const INDEX = /^(0|[1-9][0-9]*)$/
+
+const invalid = (path, message) => {
+  return new InvalidArgumentError(`Invalid path ${JSON.stringify(path)}: ${message}`)
+}
+
+/**
+ * Parse a path into its segments.
+ *
+ * @param {string|Array<string|number>} [path] - Either the string form or the segments
+ * @returns {Array<string|number>}
+ * @throws {InvalidArgumentError}
+ */
+const parse = (path) => {
+  if (path === undefined || path === null) {
+    return []
+  }
+
+  if (Array.isArray(path)) {
+    path.forEach((segment) => {
+      const isKey = typeof segment === 'string' && segment !== ''
+      if (!isKey && !(Number.isSafeInteger(segment) && segment >= 0)) {
+        throw invalid(path, 'segments must be non-empty strings or non-negative integers')
+      }
+    })
+    return path.slice()
+  }
+
+  if (typeof path !== 'string') {
+    throw invalid(path, 'expected a string or an array')
+  }
+
+  const segments = []
+  let segment = ''
+  let escaped = false
+
+  const finish = () => {
+    if (escaped) {
+      segments.push(segment)
+    } else if (segment === '..') {
+      segments.pop()
+    } else if (INDEX.test(segment) && Number.isSafeInteger(Number(segment))) {
+      segments.push(Number(segment))
+    } else if (segment !== '' && segment !== '.') {
+      segments.push(segment)
+    }
+    segment = ''
+    escaped = false
+  }
+
+  for (let ii = 0; ii < path.length; ii++) {
+    const char = path[ii]
+    if (char === '\\') {
+      if (ii === path.length - 1) {
+        throw invalid(path, 'it ends with an escape character')
+      }
+      ii++
+      segment += path[ii]
+      escaped = true
+    } else if (char === '/') {
+      finish()
+    } else {
+      segment += char
+    }
+  }
+  finish()
+
+  return segments
+}
+
+/**
+ * Turn segments into the string form of a path.
+ *
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+const serialize = (segments) => {
+  return segments.map((segment) => {
+    if (typeof segment === 'number') {
+      return String(segment)
+    }
+
+    const escaped = segment.replace(/[\\/]/g, '\\$&')
+    // Keys that would be parsed as something else
+    if (segment === '.' || segment === '..' || INDEX.test(segment)) {
+      return '\\' + escaped
+    }
+    return escaped
+  }).join('/')
+}
+
+/**
+ * Bring a path into its canonical string form.
+ *
+ * @param {string|Array<string|number>} [path]
+ * @returns {string}
+ * @throws {InvalidArgumentError}
+ */
+const normalize = (path) => serialize(parse(path))
+
+/**
+ * Turn segments into a path for the resolvers of IPLD Formats. They don't
+ * support escaping, hence it only works if no key contains a slash.
+ *
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+const toResolverPath = (segments) => segments.join('/')
+
+module.exports = {
+  parse,
+  serialize,
+  normalize,
+  toResolverPath
+}
@@ -0,0 +1,432 @@
+'use strict'
+
+const CID = require('cids')
+const Key = require('interface-datastore').Key
+const pull = require('pull-stream')
+const waterfall = require('async/waterfall')
+
+const {
+  InvalidArgumentError,
+  InvalidCIDError,
+  NotPinnedError,
+  NotSupportedError,
+  PinnedRecursivelyError
+} = require('./errors')
+const { abortableOperation, toPromise } = require('./util')
+
+// Every pin is stored in the datastore of the repo under its CID, the value
+// is its type
+const PIN_PREFIX = '/local/pins'
+
+const TYPES = ['recursive', 'direct', 'indirect']
+
+const pinKey = (cid) => new Key(`${PIN_PREFIX}/${cid.toBaseEncodedString()}`)
+
+const notSupportedError = () => {
+  return new NotSupportedError('The block service does not support pinning')
+}
+
+/**
+ * Pins protect DAGs from being removed by `remove()` and `gc()`.
+ *
+ * A `recursive` pin protects a block and all its descendants, a `direct` pin
+ * only the block itself. Blocks protected by a recursive pin of one of their
+ * ancestors are pinned `indirect`. The pins are persisted in the datastore of
+ * the repo the block service is backed by.
+ */
+class PinManager {
+  /**
+   * @param {IPLDResolver} resolver
+   */
+  constructor (resolver) {
+    this._resolver = resolver
+    // The blocks reachable from the recursive pins, as long as these are the
+    // same, the DAGs don't need to be walked again
+    this._reachableCache = null
+  }
+
+  /**
+   * Pin a DAG.
+   *
+   * A recursive pin fails if not all blocks of the DAG are available.
+   *
+   * @param {CID} cid
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=true] - Whether to pin all descendants as well
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error)} [callback]
+   * @returns {?Promise}
+   */
+  add (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.add(cid, options, cb))
+    }
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    options = options || {}
+    const recursive = options.recursive !== false
+    const datastore = this._datastore()
+    if (!datastore) {
+      return setImmediate(() => callback(notSupportedError()))
+    }
+
+    // Once aborted, the pin isn't stored anymore
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    this._load((err, pins) => {
+      if (err) {
+        return callback(err)
+      }
+
+      const key = cid.toBaseEncodedString()
+      if (pins.recursive.has(key)) {
+        if (recursive) {
+          return callback()
+        }
+        return callback(new PinnedRecursivelyError(cid))
+      }
+
+      // Make sure the blocks are available
+      const check = recursive
+        ? (cb) => pull(
+          this._resolver.walkStream(cid, Object.assign({ unique: true }, nested())),
+          pull.onEnd(cb)
+        )
+        : (cb) => this._resolver._getBlock(cid, (err) => cb(err))
+
+      waterfall([
+        check,
+        step((cb) => {
+          const type = recursive ? 'recursive' : 'direct'
+          datastore.put(pinKey(cid), Buffer.from(type), cb)
+        })
+      ], (err) => callback(err))
+    })
+  }
+
+  /**
+   * Unpin a DAG.
+   *
+   * @param {CID} cid
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=true] - Whether to remove a recursive pin, else only a direct pin is removed
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error)} [callback]
+   * @returns {?Promise}
+   */
+  rm (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.rm(cid, options, cb))
+    }
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+
+    options = options || {}
+    const recursive = options.recursive !== false
+    const datastore = this._datastore()
+    if (!datastore) {
+      return setImmediate(() => callback(notSupportedError()))
+    }
+
+    // Once aborted, the pin isn't removed anymore
+    const { callback: done, step } = abortableOperation(options, callback)
+
+    waterfall([
+      (cb) => this._load(cb),
+      step((pins, cb) => {
+        const key = cid.toBaseEncodedString()
+        if (pins.recursive.has(key) && !recursive) {
+          return cb(new PinnedRecursivelyError(cid))
+        }
+        if (!pins.recursive.has(key) && !pins.direct.has(key)) {
+          return cb(new NotPinnedError(cid))
+        }
+        datastore.delete(pinKey(cid), cb)
+      })
+    ], (err) => done(err))
+  }
+
+  /**
+   * List the pins.
+   *
+   * Every CID is only listed once, a recursive pin takes precedence over a
+   * direct one, a direct one over an indirect one.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.type='all'] - Either `all`, `recursive`, `direct` or `indirect`
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Array<Object>)} [callback] - Called with objects containing the `cid` and the `type` of the pin
+   * @returns {?Promise}
+   */
+  ls (options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.ls(options, cb))
+    }
+
+    options = options || {}
+    const type = options.type || 'all'
+    if (type !== 'all' && !TYPES.includes(type)) {
+      return setImmediate(() => {
+        callback(new InvalidArgumentError(`Invalid pin type "${type}"`))
+      })
+    }
+    if (!this._datastore()) {
+      return setImmediate(() => callback(notSupportedError()))
+    }
+
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    waterfall([
+      (cb) => this._load(cb),
+      step((pins, cb) => {
+        if (type !== 'all' && type !== 'indirect') {
+          return cb(null, pins)
+        }
+        this._indirect(pins, nested(), (err, indirect) => {
+          if (err) {
+            return cb(err)
+          }
+          pins.indirect = indirect
+          cb(null, pins)
+        })
+      })
+    ], (err, pins) => {
+      if (err) {
+        return callback(err)
+      }
+
+      const types = type === 'all' ? TYPES : [type]
+      const result = []
+      for (const type of types) {
+        for (const cid of pins[type].values()) {
+          result.push({ cid: cid, type: type })
+        }
+      }
+      callback(null, result)
+    })
+  }
+
+  /**
+   * Check whether a block is pinned.
+   *
+   * @param {CID} cid
+   * @param {Object} [options]
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with an object containing whether the block is `pinned` and the `type` of the pin, which is `null` if it isn't
+   * @returns {?Promise}
+   */
+  isPinned (cid, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.isPinned(cid, options, cb))
+    }
+
+    if (!CID.isCID(cid)) {
+      return setImmediate(() => callback(new InvalidCIDError(cid)))
+    }
+    if (!this._datastore()) {
+      return setImmediate(() => callback(notSupportedError()))
+    }
+
+    const { callback: done, step, nested } = abortableOperation(options, callback)
+    callback = done
+
+    const key = cid.toBaseEncodedString()
+    waterfall([
+      (cb) => this._load(cb),
+      step((pins, cb) => {
+        if (pins.recursive.has(key)) {
+          return cb(null, 'recursive')
+        }
+        if (pins.direct.has(key)) {
+          return cb(null, 'direct')
+        }
+        this._indirect(pins, nested(), (err, indirect) => {
+          if (err) {
+            return cb(err)
+          }
+          cb(null, indirect.has(key) ? 'indirect' : null)
+        })
+      })
+    ], (err, type) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, { pinned: type !== null, type: type })
+    })
+  }
+
+  /**
+   * Find all blocks that are protected by a pin.
+   *
+   * If the block service doesn't support pinning, no block is protected.
+   *
+   * @param {Object} options - The `signal` and the `timeout` of the walks
+   * @param {function(Error, Map<string, CID>)} callback - Called with the CIDs of the blocks keyed by their string representation
+   * @returns {void}
+   */
+  _protected (options, callback) {
+    waterfall([
+      (cb) => this._load(cb),
+      (pins, cb) => this._reachable(pins, options, (err, reachable) => {
+        if (err) {
+          return cb(err)
+        }
+        for (const [key, cid] of pins.direct) {
+          reachable.set(key, cid)
+        }
+        cb(null, reachable)
+      })
+    ], callback)
+  }
+
+  /**
+   * Check whether a single block is protected by a pin.
+   *
+   * The recursively pinned DAGs are only walked if the block isn't pinned
+   * itself and if there are any.
+   *
+   * @param {CID} cid
+   * @param {Object} options - The `signal` and the `timeout` of the walks
+   * @param {function(Error, boolean)} callback
+   * @returns {void}
+   */
+  _isProtected (cid, options, callback) {
+    const key = cid.toBaseEncodedString()
+    this._load((err, pins) => {
+      if (err) {
+        return callback(err)
+      }
+      if (pins.recursive.has(key) || pins.direct.has(key)) {
+        return callback(null, true)
+      }
+      if (pins.recursive.size === 0) {
+        return callback(null, false)
+      }
+      this._reachable(pins, options, (err, reachable) => {
+        if (err) {
+          return callback(err)
+        }
+        callback(null, reachable.has(key))
+      })
+    })
+  }
+
+  /**
+   * Find all blocks that are reachable from the recursive pins.
+   *
+   * @param {Object} pins - The recursive and the direct pins
+   * @param {Object} options - The `signal` and the `timeout` of the walks
+   * @param {function(Error, Map<string, CID>)} callback - Called with a new Map that may be modified
+   * @returns {void}
+   */
+  _reachable (pins, options, callback) {
+    const roots = Array.from(pins.recursive.keys()).sort().join(',')
+    const cache = this._reachableCache
+    if (cache !== null && cache.roots === roots) {
+      return setImmediate(() => callback(null, new Map(cache.reachable)))
+    }
+
+    const cids = Array.from(pins.recursive.values())
+    this._resolver._reachable(cids, options, (err, reachable) => {
+      if (err) {
+        return callback(err)
+      }
+      this._reachableCache = { roots: roots, reachable: new Map(reachable) }
+      callback(null, reachable)
+    })
+  }
+
+  /**
+   * Find all blocks that are pinned indirectly.
+   *
+   * @param {Object} pins - The recursive and the direct pins
+   * @param {Object} options - The `signal` and the `timeout` of the walks
+   * @param {function(Error, Map<string, CID>)} callback
+   * @returns {void}
+   */
+  _indirect (pins, options, callback) {
+    this._reachable(pins, options, (err, reachable) => {
+      if (err) {
+        return callback(err)
+      }
+      for (const key of reachable.keys()) {
+        if (pins.recursive.has(key) || pins.direct.has(key)) {
+          reachable.delete(key)
+        }
+      }
+      callback(null, reachable)
+    })
+  }
+
+  /**
+   * Load the recursive and the direct pins from the datastore.
+   *
+   * @param {function(Error, Object)} callback - Called with an object containing Maps of the `recursive` and the `direct` pins
+   * @returns {void}
+   */
+  _load (callback) {
+    const pins = {
+      recursive: new Map(),
+      direct: new Map()
+    }
+
+    const datastore = this._datastore()
+    if (!datastore) {
+      return setImmediate(() => callback(null, pins))
+    }
+
+    pull(
+      datastore.query({ prefix: PIN_PREFIX }),
+      pull.drain((entry) => {
+        const key = entry.key.baseNamespace()
+        const type = entry.value.toString()
+        if (pins[type]) {
+          pins[type].set(key, new CID(key))
+        }
+      }, (err) => {
+        if (err) {
+          return callback(err)
+        }
+        callback(null, pins)
+      })
+    )
+  }
+
+  _datastore () {
+    const repo = this._resolver.bs._repo
+    return repo && repo.datastore ? repo.datastore : null
+  }
+}
+
+module.exports = PinManager
@@ -0,0 +1,116 @@
+'use strict'
+
+const queue = require('async/queue')
+
+/**
+ * Fetches values ahead of time, with a limited number of fetches in parallel.
+ *
+ * Values are requested with `prefetch()` in the order they are expected to
+ * be needed and are fetched in that order. A value is only kept until it is
+ * retrieved with `get()`, so every prefetched value is meant to be retrieved
+ * exactly once.
+ */
+class Prefetcher {
+  /**
+   * @param {function(CID, function(Error, *))} fetch - Fetches the value for a CID
+   * @param {number} concurrency - The maximum number of prefetches in parallel
+   */
+  constructor (fetch, concurrency) {
+    this._fetch = fetch
+    // Entries by the base encoded CID, they are removed once they are
+    // retrieved
+    this._entries = new Map()
+    this._stopped = false
+    this._queue = queue((entry, cb) => {
+      // The value was already requested before it was its turn
+      if (entry.started) {
+        return cb()
+      }
+      this._start(entry, cb)
+    }, concurrency)
+  }
+
+  /**
+   * Queue CIDs for fetching. CIDs that are already queued are ignored, as
+   * well as all CIDs once the prefetcher is stopped.
+   *
+   * @param {Array<CID>} cids
+   * @returns {void}
+   */
+  prefetch (cids) {
+    if (this._stopped) {
+      return
+    }
+
+    cids.forEach((cid) => {
+      const key = cid.toBaseEncodedString()
+      if (this._entries.has(key)) {
+        return
+      }
+
+      const entry = {
+        cid: cid,
+        started: false,
+        done: false,
+        err: null,
+        value: undefined,
+        callbacks: []
+      }
+      this._entries.set(key, entry)
+      this._queue.push(entry)
+    })
+  }
+
+  /**
+   * Get the value for a CID. It is fetched right away if it wasn't
+   * prefetched.
+   *
+   * @param {CID} cid
+   * @param {function(Error, *)} callback
+   * @returns {void}
+   */
+  get (cid, callback) {
+    const key = cid.toBaseEncodedString()
+    const entry = this._entries.get(key)
+    if (entry === undefined) {
+      return this._fetch(cid, callback)
+    }
+
+    this._entries.delete(key)
+    if (entry.done) {
+      return callback(entry.err, entry.value)
+    }
+
+    entry.callbacks.push(callback)
+    if (!entry.started) {
+      this._start(entry, () => {})
+    }
+  }
+
+  /**
+   * Stop prefetching and drop all values that weren't retrieved.
+   *
+   * @returns {void}
+   */
+  stop () {
+    this._stopped = true
+    this._queue.kill()
+    this._entries.clear()
+  }
+
+  _start (entry, callback) {
+    entry.started = true
+    this._fetch(entry.cid, (err, value) => {
+      entry.done = true
+      entry.err = err
+      entry.value = value
+
+      const callbacks = entry.callbacks
+      entry.callbacks = []
+      callbacks.forEach((cb) => cb(err, value))
+      callback()
+    })
+  }
+}
+
+module.exports = Prefetcher
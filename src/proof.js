@@ -0,0 +1,31 @@
+'use strict'
+
+const { BlockNotFoundError } = require('./errors')
+
+/**
+ * A minimal block service that serves the blocks of a proof.
+ *
+ * It is used to resolve paths offline, without access to the repo.
+ */
+class ProofBlockService {
+  constructor (blocks) {
+    this._blocks = new Map()
+    for (const block of blocks) {
+      this._blocks.set(block.cid.toBaseEncodedString(), block)
+    }
+  }
+
+  get (cid, callback) {
+    const block = this._blocks.get(cid.toBaseEncodedString())
+    setImmediate(() => {
+      if (block === undefined) {
+        return callback(new BlockNotFoundError(cid))
+      }
+      callback(null, block)
+    })
+  }
+}
+
+module.exports = {
+  ProofBlockService
+}
@@ -0,0 +1,293 @@
+'use strict'
+
+const { InvalidArgumentError } = require('./errors')
+const { segmentToRegExp } = require('./glob')
+const { isEqual } = require('./util')
+
+/*
+ * Selectors describe which parts of a DAG are traversed. They are plain
+ * objects with a single property, the kind of the selector:
+ *
+ * - `{ matcher: {} }` - matches the current node
+ * - `{ exploreAll: { next } }` - applies `next` to all fields of the node
+ * - `{ exploreFields: { fields: { name: selector } } }` - applies a selector
+ *   to each of the given fields
+ * - `{ exploreMatching: { pattern, next } }` - applies `next` to all fields
+ *   whose name matches a wildcard pattern, see `src/glob.js`
+ * - `{ exploreIndex: { index, next } }` - applies `next` to a list item
+ * - `{ exploreRange: { start, end, next } }` - applies `next` to the list
+ *   items from `start` to (excluding) `end`
+ * - `{ exploreUnion: [selector] }` - applies all selectors to the node
+ * - `{ exploreRecursive: { limit, sequence, stopAt } }` - applies `sequence`
+ *   to the node, every `exploreRecursiveEdge` within the sequence applies
+ *   the `exploreRecursive` again. The `limit` is either `{ depth: n }` to
+ *   apply the sequence at most `n` times or `{ none: {} }`. The recursion
+ *   stops at nodes that match the optional `stopAt` condition
+ * - `{ exploreRecursiveEdge: {} }` - see `exploreRecursive`
+ *
+ * Conditions are objects with a single property as well:
+ *
+ * - `{ hasField: name }` - the node has a field with the given name
+ * - `{ hasValue: value }` - the node is equal to the given value
+ */
+
+const KINDS = [
+  'matcher',
+  'exploreAll',
+  'exploreFields',
+  'exploreMatching',
+  'exploreIndex',
+  'exploreRange',
+  'exploreUnion',
+  'exploreRecursive',
+  'exploreRecursiveEdge'
+]
+
+const CONDITIONS = ['hasField', 'hasValue']
+
+const isObject = (value) => {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0
+
+// The regular expressions of the `exploreMatching` selectors
+const patterns = new WeakMap()
+const patternOf = (body) => {
+  if (!patterns.has(body)) {
+    patterns.set(body, segmentToRegExp(body.pattern))
+  }
+  return patterns.get(body)
+}
+
+/**
+ * Return the kind of a selector or condition, `null` if it has none of the
+ * given kinds.
+ *
+ * @param {*} value
+ * @param {Array<string>} kinds
+ * @returns {?string}
+ */
+const kindOf = (value, kinds) => {
+  if (!isObject(value)) {
+    return null
+  }
+  const keys = Object.keys(value)
+  if (keys.length !== 1 || !kinds.includes(keys[0])) {
+    return null
+  }
+  return keys[0]
+}
+
+/**
+ * Check that a selector is valid.
+ *
+ * @param {Object} selector
+ * @param {boolean} [inRecursion=false] - Whether the selector is within the sequence of an `exploreRecursive`
+ * @param {string} [path='selector'] - The location of the selector, for error messages
+ * @returns {void}
+ * @throws {InvalidArgumentError}
+ */
+const validate = (selector, inRecursion, path) => {
+  path = path || 'selector'
+
+  const invalid = (message) => {
+    return new InvalidArgumentError(`Invalid ${path}: ${message}`)
+  }
+
+  const kind = kindOf(selector, KINDS)
+  if (kind === null) {
+    throw invalid(`expected an object with one of ${KINDS.join(', ')}`)
+  }
+
+  const body = selector[kind]
+  const next = (child, name) => validate(child, inRecursion, `${path}.${kind}.${name}`)
+
+  if (kind !== 'exploreUnion' && !isObject(body)) {
+    throw invalid(`${kind} must be an object`)
+  }
+
+  switch (kind) {
+    case 'matcher':
+      break
+    case 'exploreRecursiveEdge':
+      if (!inRecursion) {
+        throw invalid('exploreRecursiveEdge must be within an exploreRecursive')
+      }
+      break
+    case 'exploreAll':
+      next(body.next, 'next')
+      break
+    case 'exploreFields':
+      if (!isObject(body.fields)) {
+        throw invalid('exploreFields.fields must be an object')
+      }
+      Object.keys(body.fields).forEach((name) => {
+        validate(body.fields[name], inRecursion, `${path}.exploreFields.fields["${name}"]`)
+      })
+      break
+    case 'exploreMatching':
+      if (typeof body.pattern !== 'string' || body.pattern.includes('/')) {
+        throw invalid('exploreMatching.pattern must be a string without slashes')
+      }
+      next(body.next, 'next')
+      break
+    case 'exploreIndex':
+      if (!isIndex(body.index)) {
+        throw invalid('exploreIndex.index must be a non-negative integer')
+      }
+      next(body.next, 'next')
+      break
+    case 'exploreRange':
+      if (!isIndex(body.start) || !isIndex(body.end) || body.end < body.start) {
+        throw invalid('exploreRange needs a start and an end with start <= end')
+      }
+      next(body.next, 'next')
+      break
+    case 'exploreUnion':
+      if (!Array.isArray(body)) {
+        throw invalid('exploreUnion must be an array')
+      }
+      body.forEach((child, index) => next(child, index))
+      break
+    case 'exploreRecursive': {
+      const limit = kindOf(body.limit, ['depth', 'none'])
+      if (limit === null || (limit === 'depth' && !(isIndex(body.limit.depth) && body.limit.depth > 0))) {
+        throw invalid('exploreRecursive.limit must be { depth: n } with n > 0 or { none: {} }')
+      }
+      if (body.stopAt !== undefined && kindOf(body.stopAt, CONDITIONS) === null) {
+        throw invalid(`exploreRecursive.stopAt must be an object with one of ${CONDITIONS.join(', ')}`)
+      }
+      validate(body.sequence, true, `${path}.exploreRecursive.sequence`)
+      break
+    }
+  }
+}
+
+/**
+ * Return whether the value of a node is needed to explore it.
+ *
+ * @param {Object} selector
+ * @param {?Object} recursion - See `explore()`
+ * @returns {boolean}
+ */
+const needsValue = (selector, recursion) => {
+  const kind = kindOf(selector, KINDS)
+  const body = selector[kind]
+  switch (kind) {
+    case 'matcher':
+      return true
+    case 'exploreUnion':
+      return body.some((child) => needsValue(child, recursion))
+    case 'exploreRecursive':
+      return (body.stopAt !== undefined && body.stopAt.hasValue !== undefined) ||
+        needsValue(body.sequence, null)
+    case 'exploreRecursiveEdge':
+      return recursion !== null && needsValue(recursion, null)
+    default:
+      return false
+  }
+}
+
+/**
+ * Apply a selector to a node.
+ *
+ * A node is described by the names of its fields (the indexes for lists)
+ * and its value. The value is only set if `needsValue()` returns `true` for
+ * the selector.
+ *
+ * @param {Object} selector
+ * @param {?Object} recursion - The `exploreRecursive` selector an `exploreRecursiveEdge` applies
+ * @param {Object} node
+ * @param {Array<string>} node.fields
+ * @param {*} [node.value]
+ * @returns {{matched: boolean, next: Array<{field: string, selector: Object, recursion: ?Object}>}}
+ */
+const explore = (selector, recursion, node) => {
+  const result = { matched: false, next: [] }
+  const follow = (field, selector) => {
+    if (node.fields.includes(field)) {
+      result.next.push({ field, selector, recursion })
+    }
+  }
+
+  const kind = kindOf(selector, KINDS)
+  const body = selector[kind]
+  switch (kind) {
+    case 'matcher':
+      result.matched = true
+      break
+    case 'exploreAll':
+      node.fields.forEach((field) => follow(field, body.next))
+      break
+    case 'exploreFields':
+      Object.keys(body.fields).forEach((field) => follow(field, body.fields[field]))
+      break
+    case 'exploreMatching': {
+      const pattern = patternOf(body)
+      node.fields
+        .filter((field) => pattern.test(field))
+        .forEach((field) => follow(field, body.next))
+      break
+    }
+    case 'exploreIndex':
+      follow(String(body.index), body.next)
+      break
+    case 'exploreRange':
+      for (let index = body.start; index < body.end; index++) {
+        follow(String(index), body.next)
+      }
+      break
+    case 'exploreUnion':
+      body.forEach((child) => {
+        const childResult = explore(child, recursion, node)
+        result.matched = result.matched || childResult.matched
+        result.next.push(...childResult.next)
+      })
+      break
+    case 'exploreRecursive': {
+      if (body.stopAt !== undefined && matches(body.stopAt, node)) {
+        break
+      }
+      // The edges within the sequence apply the selector once less
+      let again = null
+      if (body.limit.none !== undefined) {
+        again = selector
+      } else if (body.limit.depth > 1) {
+        again = {
+          exploreRecursive: Object.assign({}, body, {
+            limit: { depth: body.limit.depth - 1 }
+          })
+        }
+      }
+      return explore(body.sequence, again, node)
+    }
+    case 'exploreRecursiveEdge':
+      if (recursion !== null) {
+        return explore(recursion, null, node)
+      }
+      break
+  }
+
+  return result
+}
+
+/**
+ * Return whether a node matches a condition.
+ *
+ * @param {Object} condition
+ * @param {Object} node - See `explore()`
+ * @returns {boolean}
+ */
+const matches = (condition, node) => {
+  if (condition.hasField !== undefined) {
+    return node.fields.includes(String(condition.hasField))
+  }
+  return isEqual(node.value, condition.hasValue)
+}
+
+module.exports = {
+  validate,
+  needsValue,
+  explore
+}
@@ -0,0 +1,483 @@
+'use strict'
+
+const CID = require('cids')
+const pull = require('pull-stream')
+const eachSeries = require('async/eachSeries')
+const map = require('async/map')
+const mapSeries = require('async/mapSeries')
+const waterfall = require('async/waterfall')
+
+const { InvalidCIDError, InvalidArgumentError } = require('./errors')
+const ipldPath = require('./path')
+const { setIn, removeIn, linkIn } = require('./patch')
+const { abortableOperation, toPromise } = require('./util')
+
+/**
+ * Return whether a path is the same as or within another one.
+ *
+ * @param {Array<string|number>} prefix
+ * @param {Array<string|number>} segments
+ * @returns {boolean}
+ */
+const isWithin = (prefix, segments) => {
+  return prefix.length <= segments.length &&
+    prefix.every((segment, index) => segment === segments[index])
+}
+
+/**
+ * Return a path within a node with the dag-pb links it refers to by name
+ * replaced by their index, so that e.g. `<name>` and `Links/0/Hash` are the
+ * same path if the first link has that name.
+ *
+ * @param {CID} cid - The CID of the block of the node
+ * @param {*} node - The deserialized node
+ * @param {Array<string|number>} segments
+ * @returns {Array<string|number>}
+ */
+const canonicalSegments = (cid, node, segments) => {
+  if (cid.codec !== 'dag-pb') {
+    return segments
+  }
+  const findLink = (name) => node.links.findIndex((link) => link.name === name)
+
+  const first = segments[0]
+  if (typeof first === 'string' && first !== 'Data' && first !== 'Links' &&
+      findLink(first) !== -1) {
+    return ['Links', findLink(first), 'Hash'].concat(segments.slice(1))
+  }
+  if (first === 'Links' && typeof segments[1] === 'string' &&
+      findLink(segments[1]) !== -1) {
+    return ['Links', findLink(segments[1])].concat(segments.slice(2))
+  }
+  return segments
+}
+
+/**
+ * Return the index of the list item or dag-pb link an operation removes, or
+ * `undefined` if it doesn't remove one.
+ *
+ * @param {CID} cid - The CID of the block the operation is applied to
+ * @param {Object} operation - With its canonical `key`
+ * @returns {?number}
+ */
+const removedIndex = (cid, operation) => {
+  if (operation.type !== 'delete') {
+    return undefined
+  }
+  const key = operation.key
+  if (cid.codec === 'dag-pb') {
+    return key[0] === 'Links' ? key[1] : undefined
+  }
+  const last = key[key.length - 1]
+  return typeof last === 'number' ? last : undefined
+}
+
+/**
+ * Return the sum of the sizes the links of a dag-pb node state.
+ *
+ * @param {DAGNode} node
+ * @returns {number}
+ */
+const linksSize = (node) => node.links.reduce((size, link) => size + link.size, 0)
+
+/**
+ * A batch of changes to a DAG that results in a single new root.
+ *
+ * Changes are queued with `set()`, `delete()` and `link()` and only applied
+ * with `commit()`. Every block that is affected by the changes is re-created
+ * only once, even if several changes are below it, and all new blocks are
+ * stored with a single batch operation. Until then nothing is read or
+ * written, so uncommitted changes can simply be discarded.
+ *
+ * The paths are resolved in the DAG the transaction started with. Only their
+ * last segment may be new. Hence removing several items of a list (or links
+ * of a dag-pb node) removes the items at the original indices.
+ */
+class Transaction {
+  /**
+   * @param {IPLDResolver} resolver
+   * @param {CID} cid - The root of the DAG
+   */
+  constructor (resolver, cid) {
+    if (!CID.isCID(cid)) {
+      throw new InvalidCIDError(cid)
+    }
+
+    this._resolver = resolver
+    this._operations = []
+    this.root = cid
+  }
+
+  /**
+   * Queue setting a value. The last segment of the path is added if it
+   * doesn't exist yet, an empty path replaces the root.
+   *
+   * @param {string|Array<string|number>} path
+   * @param {*} value
+   * @returns {Transaction}
+   * @throws {InvalidArgumentError}
+   */
+  set (path, value) {
+    return this._queue('set', path, { value: value })
+  }
+
+  /**
+   * Queue removing a value. Within dag-pb nodes only links can be removed.
+   *
+   * @param {string|Array<string|number>} path
+   * @returns {Transaction}
+   * @throws {InvalidArgumentError}
+   */
+  delete (path) {
+    return this._queue('delete', path, {})
+  }
+
+  /**
+   * Queue setting a link. Within dag-pb nodes a path ending with a name that
+   * is not `Data` or `Links` adds a link with that name or replaces it.
+   *
+   * @param {string|Array<string|number>} path
+   * @param {CID} cid - The CID to link to
+   * @param {Object} [options]
+   * @param {number} [options.size] - The cumulative size of the linked DAG for dag-pb links, by default it is calculated from the linked block
+   * @returns {Transaction}
+   * @throws {InvalidArgumentError}
+   */
+  link (path, cid, options) {
+    if (!CID.isCID(cid)) {
+      throw new InvalidCIDError(cid)
+    }
+    options = options || {}
+    return this._queue('link', path, { value: cid, size: options.size })
+  }
+
+  /**
+   * Return the number of queued changes.
+   *
+   * @returns {number}
+   */
+  get size () {
+    return this._operations.length
+  }
+
+  /**
+   * Drop all queued changes.
+   *
+   * @returns {void}
+   */
+  discard () {
+    this._operations = []
+  }
+
+  /**
+   * Apply the queued changes and store the new blocks.
+   *
+   * Afterwards the transaction continues from the new root. If committing
+   * fails or is aborted, the changes stay queued and the root is unchanged.
+   * Once aborted, nothing is stored anymore. Only an abort while the blocks
+   * are being written doesn't undo that single batch.
+   *
+   * If no callback is given, a Promise is returned.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.onlyHash=false] - Only create the new blocks, but don't store them
+   * @param {Object} [options.signal] - An `AbortSignal` to abort the operation
+   * @param {number} [options.timeout] - The maximum time in milliseconds
+   * @param {function(Error, Object)} [callback] - Called with an object with the new root `cid` and the new `blocks`, starting with the root
+   * @returns {?Promise}
+   */
+  commit (options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof callback !== 'function') {
+      return toPromise((cb) => this.commit(options, cb))
+    }
+
+    options = options || {}
+
+    const operations = this._operations
+    this._operations = []
+
+    // On an abort the callback is called right away, the steps that are
+    // still to come are skipped, so that nothing is stored
+    const { callback: done, step } = abortableOperation(options, (err, blocks) => {
+      if (err) {
+        // Keep the changes, including the ones queued in the meantime
+        this._operations = operations.concat(this._operations)
+        return callback(err)
+      }
+      if (blocks.length > 0) {
+        this.root = blocks[0].cid
+      }
+      callback(null, {
+        cid: this.root,
+        blocks: blocks
+      })
+    })
+
+    if (operations.length === 0) {
+      return setImmediate(() => done(null, []))
+    }
+
+    waterfall([
+      (cb) => map(operations, (operation, cb) => {
+        this._resolve(operation, options, cb)
+      }, cb),
+      step((chains, cb) => {
+        let tree
+        try {
+          tree = this._buildTree(operations, chains)
+        } catch (err) {
+          return cb(err)
+        }
+        this._commitNode(tree, cb)
+      }),
+      step((result, cb) => {
+        if (options.onlyHash) {
+          return cb(null, result.blocks)
+        }
+        this._resolver.bs.putMany(result.blocks, (err) => cb(err, result.blocks))
+      })
+    ], done)
+  }
+
+  /**
+   * Add an operation to the queue.
+   *
+   * @param {string} type - `set`, `delete` or `link`
+   * @param {string|Array<string|number>} path
+   * @param {Object} operation - The properties of the operation
+   * @returns {Transaction}
+   * @throws {InvalidArgumentError}
+   */
+  _queue (type, path, operation) {
+    operation.type = type
+    operation.segments = ipldPath.parse(path)
+    this._operations.push(operation)
+    return this
+  }
+
+  /**
+   * Find the blocks from the root to the one that contains the value an
+   * operation changes.
+   *
+   * The `key` of every block is its path in canonical form, see
+   * `canonicalSegments()`.
+   *
+   * @param {Object} operation
+   * @param {Object} options
+   * @param {function(Error, Array<{cid: CID, segments: Array, key: Array}>)} callback - Called with the blocks and the path within each of them, for the last block it is the path of the value
+   * @returns {void}
+   */
+  _resolve (operation, options, callback) {
+    const parent = operation.segments.slice(0, -1)
+    const last = operation.segments.slice(-1)
+
+    pull(
+      this._resolver.resolveStream(this.root, parent, {
+        signal: options.signal,
+        timeout: options.timeout
+      }),
+      pull.collect((err, entries) => {
+        if (err) {
+          return callback(err)
+        }
+        const chain = entries.map((entry) => ({
+          cid: entry.cid,
+          segments: ipldPath.parse(entry.path)
+        }))
+        chain[chain.length - 1].segments.push(...last)
+
+        // Only the paths within dag-pb nodes can differ from their canonical
+        // form
+        map(chain, (link, cb) => {
+          if (link.cid.codec !== 'dag-pb') {
+            return cb(null, Object.assign({ key: link.segments }, link))
+          }
+          this._resolver._get(link.cid, (err, node) => {
+            if (err) {
+              return cb(err)
+            }
+            cb(null, Object.assign({
+              key: canonicalSegments(link.cid, node, link.segments)
+            }, link))
+          })
+        }, callback)
+      })
+    )
+  }
+
+  /**
+   * Arrange the operations in a tree of the blocks that need to be
+   * re-created. A block that is linked several times is a separate node for
+   * every link, as each of them is changed differently. Paths that reach the
+   * same link, e.g. by the name of a dag-pb link and by its index, lead to
+   * the same node.
+   *
+   * @param {Array<Object>} operations
+   * @param {Array<Array<{cid: CID, segments: Array, key: Array}>>} chains - The resolved blocks of every operation
+   * @returns {Object} - The node of the root block
+   * @throws {InvalidArgumentError}
+   */
+  _buildTree (operations, chains) {
+    const createNode = (cid) => ({ cid: cid, operations: [], children: new Map() })
+    const tree = createNode(this.root)
+
+    chains.forEach((chain, index) => {
+      let node = tree
+      chain.slice(0, -1).forEach((link, position) => {
+        const key = ipldPath.serialize(link.key)
+        if (!node.children.has(key)) {
+          node.children.set(key, {
+            segments: link.key,
+            node: createNode(chain[position + 1].cid)
+          })
+        }
+        node = node.children.get(key).node
+      })
+      const last = chain[chain.length - 1]
+      node.operations.push(Object.assign({}, operations[index], {
+        segments: last.segments,
+        key: last.key
+      }))
+    })
+
+    // A change must not replace a linked block that is changed as well
+    const check = (node) => {
+      node.children.forEach((child) => {
+        node.operations.forEach((operation) => {
+          if (isWithin(operation.key, child.segments)) {
+            throw new InvalidArgumentError(
+              `Cannot change "${ipldPath.serialize(operation.segments)}" and values below it in the same transaction`)
+          }
+        })
+        check(child.node)
+      })
+    }
+    check(tree)
+
+    return tree
+  }
+
+  /**
+   * Re-create a block of the tree and all blocks below it.
+   *
+   * The operations are applied in the order they were queued, before the
+   * linked blocks are updated. Only removing list items or dag-pb links is
+   * done last, starting with the highest index, so that the indices of the
+   * original node stay valid.
+   *
+   * @param {Object} node
+   * @param {function(Error, {blocks: Array<Block>, sizeDelta: number})} callback - Called with the new blocks, starting with the one of the node, and the difference in cumulative size to the original one, see `IPLDResolver._cumulativeSize()`
+   * @returns {void}
+   */
+  _commitNode (node, callback) {
+    const cid = node.cid
+    const operations = node.operations.filter((operation) => {
+      return removedIndex(cid, operation) === undefined
+    })
+    const removals = node.operations
+      .filter((operation) => removedIndex(cid, operation) !== undefined)
+      .sort((a, b) => removedIndex(cid, b) - removedIndex(cid, a))
+
+    waterfall([
+      (cb) => mapSeries(Array.from(node.children.values()), (child, cb) => {
+        this._commitNode(child.node, (err, result) => {
+          if (err) {
+            return cb(err)
+          }
+          cb(null, Object.assign({ segments: child.segments }, result))
+        })
+      }, cb),
+      (children, cb) => {
+        // The cumulative size of a dag-pb node contains the sizes its links
+        // state, which change with the linked blocks and the links that are
+        // added or removed
+        let linksDelta = 0
+        this._resolver._patchBlock(cid, (value, cb) => {
+          const original = value
+          const apply = (operation, cb) => {
+            this._apply(cid, value, operation, (err, result) => {
+              value = result
+              cb(err)
+            })
+          }
+          waterfall([
+            (cb) => eachSeries(operations, apply, cb),
+            (cb) => eachSeries(children, (child, cb) => {
+              const link = child.blocks[0].cid
+              setIn(cid, value, child.segments, link, { delta: child.sizeDelta }, (err, result) => {
+                value = result
+                cb(err)
+              })
+            }, cb),
+            (cb) => eachSeries(removals, apply, cb)
+          ], (err) => {
+            if (err) {
+              return cb(err)
+            }
+            if (cid.codec === 'dag-pb') {
+              linksDelta = linksSize(value) - linksSize(original)
+            }
+            cb(null, value)
+          })
+        }, (err, result) => {
+          if (err) {
+            return cb(err)
+          }
+          const blocks = [result.block]
+          children.forEach((child) => blocks.push(...child.blocks))
+          cb(null, {
+            blocks: blocks,
+            sizeDelta: result.sizeDelta + linksDelta
+          })
+        })
+      }
+    ], callback)
+  }
+
+  /**
+   * Apply a single operation to a node.
+   *
+   * Setting the CID of a dag-pb link also sets its size to the cumulative
+   * size of the new linked DAG.
+   *
+   * @param {CID} cid - The CID of the block of the node
+   * @param {*} value - The deserialized node
+   * @param {Object} operation
+   * @param {function(Error, *)} callback - Called with the new node
+   * @returns {void}
+   */
+  _apply (cid, value, operation, callback) {
+    switch (operation.type) {
+      case 'set':
+        if (cid.codec !== 'dag-pb' || !CID.isCID(operation.value)) {
+          return setIn(cid, value, operation.segments, operation.value, {}, callback)
+        }
+        this._resolver._cumulativeSize(operation.value, (err, size) => {
+          if (err) {
+            return callback(err)
+          }
+          setIn(cid, value, operation.segments, operation.value, { size: size }, callback)
+        })
+        break
+      case 'delete':
+        return removeIn(cid, value, operation.segments, callback)
+      case 'link':
+        if (operation.size !== undefined || cid.codec !== 'dag-pb') {
+          return linkIn(cid, value, operation.segments, operation.value, operation.size || 0, callback)
+        }
+        this._resolver._cumulativeSize(operation.value, (err, size) => {
+          if (err) {
+            return callback(err)
+          }
+          linkIn(cid, value, operation.segments, operation.value, size, callback)
+        })
+    }
+  }
+}
+
+module.exports = Transaction
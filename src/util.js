@@ -0,0 +1,443 @@
+'use strict'
+
+const CID = require('cids')
+const multihashing = require('multihashing-async')
+
+const {
+  AbortedError,
+  CorruptBlockError,
+  TimeoutError
+} = require('./errors')
+
+/**
+ * Call a function that takes a Node.js style callback and return a Promise.
+ *
+ * It is used by the public API to return a Promise whenever the user
+ * omitted the callback.
+ *
+ * @param {function(function(Error, *))} fn - The function to call
+ * @returns {Promise}
+ */
+exports.toPromise = (fn) => {
+  return new Promise((resolve, reject) => {
+    fn((err, result) => {
+      if (err) {
+        return reject(err)
+      }
+      resolve(result)
+    })
+  })
+}
+
+/**
+ * Turn a pull-stream source into an async iterator.
+ *
+ * Breaking out of a `for await` loop aborts the underlying source.
+ *
+ * @param {function} source - A pull-stream source
+ * @returns {AsyncIterator}
+ */
+exports.toAsyncIterator = (source) => {
+  let ended = false
+
+  const iterator = {
+    next () {
+      if (ended) {
+        return Promise.resolve({ done: true, value: undefined })
+      }
+
+      return new Promise((resolve, reject) => {
+        source(null, (end, value) => {
+          if (end === true) {
+            ended = true
+            return resolve({ done: true, value: undefined })
+          }
+          if (end) {
+            ended = true
+            return reject(end)
+          }
+          resolve({ done: false, value })
+        })
+      })
+    },
+
+    return () {
+      if (ended) {
+        return Promise.resolve({ done: true, value: undefined })
+      }
+
+      ended = true
+      return new Promise((resolve) => {
+        source(true, () => resolve({ done: true, value: undefined }))
+      })
+    },
+
+    [Symbol.asyncIterator] () {
+      return iterator
+    }
+  }
+
+  return iterator
+}
+
+/**
+ * Check that the data of a block matches its CID.
+ *
+ * The data is hashed with the same hash function as the one used by the CID.
+ *
+ * @param {Block} block
+ * @param {function(Error)} callback - Called with an error if the data doesn't match
+ * @returns {void}
+ */
+exports.verifyHash = (block, callback) => {
+  const cid = block.cid
+  const decoded = multihashing.multihash.decode(cid.multihash)
+
+  multihashing(block.data, decoded.code, decoded.length, (err, computed) => {
+    if (err) {
+      return callback(err)
+    }
+    if (!computed.equals(cid.multihash)) {
+      return callback(new CorruptBlockError(cid))
+    }
+    callback()
+  })
+}
+
+/**
+ * Compare two deserialized values structurally.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+exports.isEqual = (a, b) => {
+  if (a === b) {
+    return true
+  }
+  if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+    return Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.equals(b)
+  }
+  if (CID.isCID(a) || CID.isCID(b)) {
+    return CID.isCID(a) && CID.isCID(b) && a.equals(b)
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false
+  }
+
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) {
+    return false
+  }
+  return keys.every((key) => {
+    return Object.prototype.hasOwnProperty.call(b, key) &&
+      exports.isEqual(a[key], b[key])
+  })
+}
+
+/**
+ * Deep copy a deserialized value.
+ *
+ * The copies of objects have the same prototype and property descriptors as
+ * the originals, so that e.g. CIDs and the nodes of IPLD Formats are copied
+ * as well. Functions aren't copied.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+exports.clone = (value) => {
+  // The copies of the objects that were already copied, for values that
+  // occur several times or contain themselves
+  const copies = new Map()
+
+  const copy = (value) => {
+    if (typeof value !== 'object' || value === null) {
+      return value
+    }
+    if (copies.has(value)) {
+      return copies.get(value)
+    }
+
+    if (Buffer.isBuffer(value)) {
+      return remember(value, Buffer.from(value))
+    }
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return remember(value, value.slice(0))
+    }
+    if (Array.isArray(value)) {
+      const result = remember(value, [])
+      value.forEach((item, index) => {
+        result[index] = copy(item)
+      })
+      return result
+    }
+    if (value instanceof Map) {
+      const result = remember(value, new Map())
+      value.forEach((item, key) => result.set(key, copy(item)))
+      return result
+    }
+    if (value instanceof Set) {
+      const result = remember(value, new Set())
+      value.forEach((item) => result.add(copy(item)))
+      return result
+    }
+
+    const result = remember(value, Object.create(Object.getPrototypeOf(value)))
+    for (const key of Reflect.ownKeys(value)) {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key)
+      if ('value' in descriptor) {
+        descriptor.value = copy(descriptor.value)
+      }
+      Object.defineProperty(result, key, descriptor)
+    }
+    return result
+  }
+
+  const remember = (value, result) => {
+    copies.set(value, result)
+    return result
+  }
+
+  return copy(value)
+}
+
+/**
+ * Traverse a graph as pull-stream source.
+ *
+ * It is similar to `pull-traverse`, but errors of the child streams are
+ * passed on, and aborting the returned stream also aborts all pending child
+ * streams.
+ *
+ * @param {*} start - The element to start the traversal with
+ * @param {function(*): ?function} createStream - Returns a pull-stream source with the children of an element, or `null` if there are none
+ * @param {boolean} [depthFirst=false] - Whether to traverse depth-first instead of breadth-first
+ * @returns {function} - A pull-stream source
+ */
+exports.traverse = (start, createStream, depthFirst) => {
+  let started = false
+  let ended = null
+  const reads = []
+
+  const abortAll = (end) => {
+    ended = end
+    while (reads.length > 0) {
+      reads.shift()(end, () => {})
+    }
+  }
+
+  return function next (end, respond) {
+    if (ended) {
+      return respond(ended)
+    }
+    if (end) {
+      abortAll(end)
+      return respond(end)
+    }
+
+    if (!started) {
+      started = true
+      return emit(start, respond)
+    }
+
+    if (reads.length === 0) {
+      ended = true
+      return respond(true)
+    }
+
+    reads[0](null, (end, data) => {
+      // The traversal was aborted while reading, don't create new streams
+      if (ended) {
+        return respond(ended)
+      }
+      if (end === true) {
+        reads.shift()
+        return next(null, respond)
+      }
+      if (end) {
+        reads.shift()
+        abortAll(end)
+        return respond(end)
+      }
+      emit(data, respond)
+    })
+  }
+
+  function emit (data, respond) {
+    const children = createStream(data)
+    if (children) {
+      if (depthFirst) {
+        reads.unshift(children)
+      } else {
+        reads.push(children)
+      }
+    }
+    respond(null, data)
+  }
+}
+
+/**
+ * Watch the `signal` and the `timeout` option of an operation.
+ *
+ * The `signal` is an object like an `AbortSignal`, with an `aborted`
+ * property and `addEventListener()`/`removeEventListener()` for the `abort`
+ * event.
+ *
+ * @param {Object} options
+ * @param {function(Error)} onAbort - Called once with an `AbortedError` or a `TimeoutError`
+ * @returns {function()} - Stops watching
+ */
+const watchAbort = (options, onAbort) => {
+  const signal = options.signal
+  let timer = null
+  let stopped = false
+
+  const stop = () => {
+    stopped = true
+    clearTimeout(timer)
+    if (signal) {
+      signal.removeEventListener('abort', onSignal)
+    }
+  }
+
+  const abort = (err) => {
+    if (stopped) {
+      return
+    }
+    stop()
+    onAbort(err)
+  }
+
+  const onSignal = () => abort(new AbortedError())
+
+  if (signal) {
+    if (signal.aborted) {
+      setImmediate(onSignal)
+    } else {
+      signal.addEventListener('abort', onSignal)
+    }
+  }
+  if (options.timeout !== undefined) {
+    timer = setTimeout(() => abort(new TimeoutError(options.timeout)), options.timeout)
+  }
+
+  return stop
+}
+
+const isAbortable = (options) => {
+  return Boolean(options) &&
+    (Boolean(options.signal) || options.timeout !== undefined)
+}
+
+/**
+ * Make an operation that consists of several steps abortable with the
+ * `signal` and the `timeout` option.
+ *
+ * Returns the wrapped `callback`, which is called only once, either with the
+ * result of the operation or with an `AbortedError` or a `TimeoutError`.
+ * Steps wrapped with `step()` aren't run anymore once the operation was
+ * aborted, instead their callback, the last argument, is called with the
+ * error. This way an operation stops before it e.g. writes anything.
+ * `nested()` returns the `signal` and the remaining `timeout` for the
+ * operations it consists of, so that e.g. traversals stop as well.
+ *
+ * @param {Object} [options]
+ * @param {function(Error, *)} callback
+ * @returns {{callback: function(Error, *), step: function(function): function, nested: function(): Object}}
+ */
+exports.abortableOperation = (options, callback) => {
+  if (!isAbortable(options)) {
+    return { callback: callback, step: (fn) => fn, nested: () => ({}) }
+  }
+
+  const deadline = options.timeout === undefined
+    ? undefined
+    : Date.now() + options.timeout
+
+  let aborted = null
+  let called = false
+  const once = (err, result) => {
+    if (called) {
+      return
+    }
+    called = true
+    stop()
+    callback(err, result)
+  }
+  const stop = watchAbort(options, (err) => {
+    aborted = err
+    once(err)
+  })
+
+  const step = (fn) => function () {
+    if (aborted) {
+      return arguments[arguments.length - 1](aborted)
+    }
+    return fn.apply(this, arguments)
+  }
+
+  const nested = () => ({
+    signal: options.signal,
+    timeout: deadline === undefined
+      ? undefined
+      : Math.max(deadline - Date.now(), 0)
+  })
+
+  return { callback: once, step: step, nested: nested }
+}
+
+/**
+ * Make a pull-stream source abortable with the `signal` and the `timeout`
+ * option.
+ *
+ * On abort the source is aborted, so that traversals stop, and the stream
+ * ends with an `AbortedError` or a `TimeoutError`.
+ *
+ * @param {function} source - A pull-stream source
+ * @param {Object} [options]
+ * @returns {function} - A pull-stream source
+ */
+exports.abortable = (source, options) => {
+  if (!isAbortable(options)) {
+    return source
+  }
+
+  let aborted = null
+  // The callback of the read that is in progress
+  let pending = null
+
+  const stop = watchAbort(options, (err) => {
+    aborted = err
+    source(err, () => {})
+    if (pending !== null) {
+      const cb = pending
+      pending = null
+      cb(err)
+    }
+  })
+
+  return (end, cb) => {
+    if (aborted) {
+      return cb(end || aborted)
+    }
+    if (end) {
+      stop()
+      return source(end, cb)
+    }
+
+    pending = cb
+    source(null, (end, data) => {
+      // The read was already ended by an abort
+      if (pending !== cb) {
+        return
+      }
+      pending = null
+      if (end) {
+        stop()
+      }
+      cb(end, data)
+    })
+  }
+}
@@ -0,0 +1,302 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const pull = require('pull-stream')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+// Node.js has no `AbortController` yet, this is the minimal part of its
+// `AbortSignal` that is used
+const createSignal = () => {
+  const listeners = []
+  return {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener)
+      if (index !== -1) {
+        listeners.splice(index, 1)
+      }
+    },
+    abort () {
+      this.aborted = true
+      listeners.slice().forEach((listener) => listener())
+    },
+    listeners
+  }
+}
+
+describe('IPLD Resolver cancellation', () => {
+  const delay = 50
+
+  let resolver
+  let gets
+  let writes
+
+  let cidLeaf
+  let cidMiddle
+  let cidRoot
+
+  // Every block takes `delay` milliseconds to be retrieved
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        const bs = res.bs
+        resolver = new IPLDResolver({
+          blockService: {
+            get: (cid, cb) => {
+              gets++
+              setTimeout(() => bs.get(cid, cb), delay)
+            },
+            getMany: bs.getMany.bind(bs),
+            put: (block, cb) => {
+              writes++
+              bs.put(block, cb)
+            },
+            putMany: (blocks, cb) => {
+              writes++
+              bs.putMany(blocks, cb)
+            },
+            delete: (cid, cb) => {
+              writes++
+              bs.delete(cid, cb)
+            }
+          }
+        })
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidMiddle = cid
+        resolver.put({ middle: cidMiddle }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  beforeEach(() => {
+    gets = 0
+    writes = 0
+  })
+
+  // Waits until the blocks that were in flight arrived, so that the number
+  // of retrieved blocks is final
+  const settle = (cb) => setTimeout(cb, delay * 2)
+
+  it('times out while resolving a path', (done) => {
+    resolver.get(cidRoot, 'middle/leaf/leaf', { timeout: delay / 2 }, (err) => {
+      expect(err).to.be.an.instanceof(IPLDResolver.errors.TimeoutError)
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      expect(err.timeout).to.equal(delay / 2)
+      settle(() => {
+        expect(gets).to.equal(1)
+        done()
+      })
+    })
+  })
+
+  it('aborts while resolving a path', (done) => {
+    const signal = createSignal()
+    resolver.get(cidRoot, 'middle/leaf/leaf', { signal }, (err) => {
+      expect(err).to.be.an.instanceof(IPLDResolver.errors.AbortedError)
+      expect(err.code).to.equal('ERR_ABORTED')
+      expect(signal.listeners).to.have.length(0)
+      settle(() => {
+        expect(gets).to.equal(2)
+        done()
+      })
+    })
+    setTimeout(() => signal.abort(), delay * 1.5)
+  })
+
+  it('fails if the signal is already aborted', async () => {
+    const signal = createSignal()
+    signal.abort()
+    try {
+      await resolver.get(cidLeaf, { signal })
+      expect.fail('get should have failed')
+    } catch (err) {
+      expect(err.code).to.equal('ERR_ABORTED')
+    }
+  })
+
+  it('completes within the timeout', (done) => {
+    const signal = createSignal()
+    resolver.get(cidRoot, 'middle/leaf/leaf', {
+      signal,
+      timeout: delay * 10
+    }, (err, result) => {
+      expect(err).to.not.exist()
+      expect(result.value).to.equal(true)
+      expect(signal.listeners).to.have.length(0)
+      done()
+    })
+  })
+
+  it('aborts a recursive treeStream', (done) => {
+    const signal = createSignal()
+    pull(
+      resolver.treeStream(cidRoot, { recursive: true, signal }),
+      pull.collect((err) => {
+        expect(err.code).to.equal('ERR_ABORTED')
+        settle(() => {
+          expect(gets).to.be.below(3)
+          done()
+        })
+      })
+    )
+    setTimeout(() => signal.abort(), delay * 1.5)
+  })
+
+  it('times out a walkStream', (done) => {
+    pull(
+      resolver.walkStream(cidRoot, { timeout: delay * 1.5 }),
+      pull.collect((err, nodes) => {
+        expect(err.code).to.equal('ERR_TIMEOUT')
+        settle(() => {
+          expect(gets).to.be.below(3)
+          done()
+        })
+      })
+    )
+  })
+
+  it('times out getMany', (done) => {
+    resolver.getMany([cidRoot, cidLeaf], { timeout: delay / 2 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      done()
+    })
+  })
+
+  it('getMany still works without options', async () => {
+    const nodes = await resolver.getMany([cidLeaf])
+    expect(nodes).to.eql([{ leaf: true }])
+  })
+
+  it('aborts put', (done) => {
+    const signal = createSignal()
+    signal.abort()
+    resolver.put({ aborted: true }, { format: 'dag-cbor', signal }, (err) => {
+      expect(err.code).to.equal('ERR_ABORTED')
+      settle(() => {
+        expect(writes).to.equal(0)
+        done()
+      })
+    })
+  })
+
+  it('does not store a node with a given CID after a timeout', (done) => {
+    // A serializer that is slower than the timeout
+    const format = resolver.resolvers['dag-cbor']
+    resolver.resolvers['dag-cbor'] = Object.assign({}, format, {
+      util: Object.assign({}, format.util, {
+        serialize: (node, cb) => {
+          setTimeout(() => format.util.serialize(node, cb), delay)
+        }
+      })
+    })
+
+    resolver.put({ leaf: true }, { cid: cidLeaf, timeout: delay / 2 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      settle(() => {
+        resolver.resolvers['dag-cbor'] = format
+        expect(writes).to.equal(0)
+        done()
+      })
+    })
+  })
+
+  it('aborts putMany', (done) => {
+    const signal = createSignal()
+    signal.abort()
+    resolver.putMany([{ a: 1 }, { b: 2 }], { format: 'dag-cbor', signal }, (err) => {
+      expect(err.code).to.equal('ERR_ABORTED')
+      settle(() => {
+        expect(writes).to.equal(0)
+        done()
+      })
+    })
+  })
+
+  it('times out links', (done) => {
+    resolver.links(cidRoot, { timeout: delay / 2 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      done()
+    })
+  })
+
+  it('times out createProof', (done) => {
+    resolver.createProof(cidRoot, 'middle/leaf', { timeout: delay * 1.5 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      settle(() => {
+        expect(gets).to.be.below(3)
+        done()
+      })
+    })
+  })
+
+  it('times out missing and fsck', (done) => {
+    resolver.missing(cidRoot, { timeout: delay * 1.5 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      resolver.fsck(cidRoot, { recursive: true, timeout: delay / 2 }, (err) => {
+        expect(err.code).to.equal('ERR_TIMEOUT')
+        done()
+      })
+    })
+  })
+
+  it('neither walks further nor removes anything on a gc timeout', (done) => {
+    resolver.gc([cidRoot], { timeout: delay * 1.5 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      settle(() => {
+        expect(gets).to.be.below(3)
+        expect(writes).to.equal(0)
+        done()
+      })
+    })
+  })
+
+  it('removes nothing on a recursive remove timeout', (done) => {
+    resolver.remove(cidRoot, { recursive: true, timeout: delay / 2 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      settle(() => {
+        expect(writes).to.equal(0)
+        done()
+      })
+    })
+  })
+
+  it('aborts importCar', (done) => {
+    const signal = createSignal()
+    // A file that never arrives
+    const source = (end, cb) => {
+      if (end) {
+        cb(end)
+      }
+    }
+    resolver.importCar(source, { signal }, (err) => {
+      expect(err.code).to.equal('ERR_ABORTED')
+      expect(writes).to.equal(0)
+      done()
+    })
+    setTimeout(() => signal.abort(), delay / 2)
+  })
+
+  it('times out stat', (done) => {
+    resolver.stat(cidRoot, { recursive: true, timeout: delay / 2 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      done()
+    })
+  })
+})
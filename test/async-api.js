@@ -0,0 +1,118 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const BlockService = require('ipfs-block-service')
+const CID = require('cids')
+const multihash = require('multihashes')
+
+const IPLDResolver = require('../src')
+
+module.exports = (repo) => {
+  describe('Promise and async iterator API', () => {
+    let resolver
+
+    let node1
+    let node2
+    let cid1
+    let cid2
+
+    before(async () => {
+      const bs = new BlockService(repo)
+      resolver = new IPLDResolver({ blockService: bs })
+
+      node1 = { someData: 'I am 1' }
+      cid1 = await resolver.put(node1, { format: 'dag-cbor' })
+      node2 = { someData: 'I am 2', one: cid1 }
+      cid2 = await resolver.put(node2, { format: 'dag-cbor' })
+    })
+
+    it('inMemory returns a Promise', async () => {
+      const r = await IPLDResolver.inMemory()
+      expect(r.bs).to.exist()
+    })
+
+    it('put returns a Promise', async () => {
+      const cid = await resolver.put(node1, { format: 'dag-cbor' })
+      expect(cid).to.eql(cid1)
+    })
+
+    it('put rejects if no options are given', async () => {
+      try {
+        await resolver.put(node1)
+      } catch (err) {
+        expect(err.message).to.eql('IPLDResolver.put requires options')
+        return
+      }
+      throw new Error('put should have failed')
+    })
+
+    it('get returns a Promise', async () => {
+      const result = await resolver.get(cid2)
+      expect(result.value).to.eql(node2)
+      expect(result.remainderPath).to.eql('')
+    })
+
+    it('get with path returns a Promise', async () => {
+      const result = await resolver.get(cid2, 'one/someData')
+      expect(result.value).to.eql('I am 1')
+      expect(result.cid).to.eql(cid1)
+    })
+
+    it('get rejects on unknown resolver', async () => {
+      const cid = new CID(1, 'base1', multihash.encode(Buffer.from('abcd', 'hex'), 'sha1'))
+      try {
+        await resolver.get(cid, '/', {})
+      } catch (err) {
+        expect(err.message).to.eql('No resolver found for codec "base1"')
+        return
+      }
+      throw new Error('get should have failed')
+    })
+
+    it('getMany returns a Promise', async () => {
+      const nodes = await resolver.getMany([cid2, cid1])
+      expect(nodes).to.eql([node2, node1])
+    })
+
+    it('getIterator yields the result', async () => {
+      const results = []
+      for await (const result of resolver.getIterator(cid2, 'one/someData')) {
+        results.push(result.value)
+      }
+      expect(results).to.eql(['I am 1'])
+    })
+
+    it('treeIterator yields all paths', async () => {
+      const paths = []
+      for await (const path of resolver.treeIterator(cid2, { recursive: true })) {
+        paths.push(path)
+      }
+      expect(paths).to.eql(['one', 'someData', 'one/someData'])
+    })
+
+    it('treeIterator can be stopped early', async () => {
+      const paths = []
+      for await (const path of resolver.treeIterator(cid2, { recursive: true })) {
+        paths.push(path)
+        break
+      }
+      expect(paths).to.have.length(1)
+    })
+
+    it('remove returns a Promise', async () => {
+      const cid = await resolver.put({ removeMe: true }, { format: 'dag-cbor' })
+      await resolver.remove(cid)
+      try {
+        await resolver.get(cid)
+      } catch (err) {
+        expect(err).to.exist()
+        return
+      }
+      throw new Error('get should have failed')
+    })
+  })
+}
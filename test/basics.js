@@ -40,6 +40,7 @@ module.exports = (repo) => {
       r.get(cid, '/', {}, (err, result) => {
         expect(err).to.exist()
         expect(err.message).to.eql('No resolver found for codec "base1"')
+        expect(err.code).to.eql('ERR_UNSUPPORTED_CODEC')
         done()
       })
     })
@@ -52,6 +53,7 @@ module.exports = (repo) => {
       r.get(cid, (err, result) => {
         expect(err).to.exist()
         expect(err.message).to.eql('No resolver found for codec "base1"')
+        expect(err.code).to.eql('ERR_UNSUPPORTED_CODEC')
         done()
       })
     })
@@ -63,6 +65,7 @@ module.exports = (repo) => {
       r.put(null, { format: 'base1' }, (err, result) => {
         expect(err).to.exist()
         expect(err.message).to.eql('No resolver found for codec "base1"')
+        expect(err.code).to.eql('ERR_UNSUPPORTED_CODEC')
         done()
       })
     })
@@ -73,6 +76,58 @@ module.exports = (repo) => {
       r.put(null, (err, result) => {
         expect(err).to.exist()
         expect(err.message).to.eql('IPLDResolver.put requires options')
+        expect(err.code).to.eql('ERR_INVALID_ARGUMENT')
+        done()
+      })
+    })
+
+    it('put - errors on serialization failure', (done) => {
+      const bs = new BlockService(repo)
+      const r = new IPLDResolver({
+        blockService: bs,
+        formats: [{
+          resolver: { multicodec: 'dag-cbor' },
+          util: {
+            cid: (node, options, callback) => callback(new Error('BOOM'))
+          }
+        }]
+      })
+      r.put({}, { format: 'dag-cbor' }, (err) => {
+        expect(err).to.be.an.instanceof(IPLDResolver.errors.SerializationError)
+        expect(err.code).to.eql('ERR_SERIALIZATION')
+        expect(err.cause.message).to.eql('BOOM')
+        done()
+      })
+    })
+
+    it('put - errors on invalid CID', (done) => {
+      const bs = new BlockService(repo)
+      const r = new IPLDResolver({ blockService: bs })
+      r.put({}, { cid: 'invalid' }, (err) => {
+        expect(err.code).to.eql('ERR_INVALID_CID')
+        done()
+      })
+    })
+
+    it('get - errors on invalid CID', (done) => {
+      const bs = new BlockService(repo)
+      const r = new IPLDResolver({ blockService: bs })
+      r.get('invalid', (err) => {
+        expect(err).to.be.an.instanceof(IPLDResolver.errors.InvalidCIDError)
+        expect(err.code).to.eql('ERR_INVALID_CID')
+        expect(err.cid).to.eql('invalid')
+        done()
+      })
+    })
+
+    it('get - errors on missing block', (done) => {
+      const bs = new BlockService(repo)
+      const r = new IPLDResolver({ blockService: bs })
+      const cid = new CID(1, 'dag-cbor', multihash.encode(Buffer.from('abcd', 'hex'), 'sha1'))
+      r.get(cid, (err) => {
+        expect(err).to.be.an.instanceof(IPLDResolver.errors.BlockNotFoundError)
+        expect(err.code).to.eql('ERR_BLOCK_NOT_FOUND')
+        expect(err.cid).to.eql(cid)
         done()
       })
     })
@@ -85,6 +140,7 @@ module.exports = (repo) => {
       r._put(cid, null, (err, result) => {
         expect(err).to.exist()
         expect(err.message).to.eql('No resolver found for codec "base1"')
+        expect(err.code).to.eql('ERR_UNSUPPORTED_CODEC')
         done()
       })
     })
@@ -99,9 +155,63 @@ module.exports = (repo) => {
         pull.collect(function (err) {
           expect(err).to.exist()
           expect(err.message).to.eql('No resolver found for codec "base1"')
+          expect(err.code).to.eql('ERR_UNSUPPORTED_CODEC')
           done()
         })
       )
     })
+
+    it('errors on a missing blockService', () => {
+      expect(() => new IPLDResolver({})).to.throw()
+        .with.property('code', 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('errors on adding an existing format', () => {
+      const r = new IPLDResolver({ blockService: new BlockService(repo) })
+      expect(() => r.support.add('dag-cbor', {}, {})).to.throw()
+        .with.property('code', 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('errors on invalid CIDs', async () => {
+      const r = new IPLDResolver({ blockService: new BlockService(repo) })
+      const collect = (source) => new Promise((resolve, reject) => {
+        pull(source, pull.collect((err) => err ? reject(err) : resolve()))
+      })
+      const calls = [
+        () => r.links('invalid'),
+        () => r.stat('invalid'),
+        () => r.missing('invalid'),
+        () => r.fsck('invalid'),
+        () => r.gc(['invalid']),
+        () => r.putMany([{}], { format: 'dag-cbor', cid: 'invalid' }),
+        () => r.verifyProof({ cid: 'invalid', path: '', blocks: [] }),
+        () => collect(r.walkStream('invalid')),
+        () => collect(r.diffStream('invalid', 'invalid'))
+      ]
+      for (const call of calls) {
+        try {
+          await call()
+          expect.fail(`${call} did not fail`)
+        } catch (err) {
+          expect(err.code).to.eql('ERR_INVALID_CID')
+        }
+      }
+    })
+
+    it('verifyProof - errors on an invalid proof', (done) => {
+      const r = new IPLDResolver({ blockService: new BlockService(repo) })
+      r.verifyProof({}, (err) => {
+        expect(err.code).to.eql('ERR_INVALID_ARGUMENT')
+        done()
+      })
+    })
+
+    it('importCar - errors on an invalid source', (done) => {
+      const r = new IPLDResolver({ blockService: new BlockService(repo) })
+      r.importCar('invalid', (err) => {
+        expect(err.code).to.eql('ERR_INVALID_ARGUMENT')
+        done()
+      })
+    })
   })
 }
@@ -0,0 +1,189 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const BlockService = require('ipfs-block-service')
+const dagCBOR = require('ipld-dag-cbor')
+const series = require('async/series')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+const NodeCache = require('../src/cache')
+
+module.exports = (repo) => {
+  describe('Node cache', () => {
+    let cid1
+    let cid2
+    let cid3
+
+    before((done) => {
+      series([
+        (cb) => dagCBOR.util.cid({ some: 'data' }, cb),
+        (cb) => dagCBOR.util.cid({ other: 'data' }, cb),
+        (cb) => dagCBOR.util.cid({ more: 'data' }, cb)
+      ], (err, cids) => {
+        expect(err).to.not.exist()
+        ;[cid1, cid2, cid3] = cids
+        done()
+      })
+    })
+
+    describe('NodeCache', () => {
+      it('counts hits and misses', () => {
+        const cache = new NodeCache()
+        expect(cache.getNode(cid1)).to.be.undefined()
+        cache.setNode(cid1, 'node1', 10)
+        expect(cache.getNode(cid1)).to.eql('node1')
+        expect(cache.stats()).to.eql({ hits: 1, misses: 1, entries: 1, size: 10 })
+      })
+
+      it('keeps nodes and resolver results apart', () => {
+        const cache = new NodeCache()
+        cache.setNode(cid1, 'node1', 10)
+        cache.setResult(cid1, 'a/b', { value: 'b' }, 10)
+        expect(cache.getNode(cid1)).to.eql('node1')
+        expect(cache.getResult(cid1, 'a/b')).to.eql({ value: 'b' })
+        expect(cache.getResult(cid1, 'a')).to.be.undefined()
+      })
+
+      it('evicts the least recently used entry if there are too many', () => {
+        const cache = new NodeCache({ maxEntries: 2 })
+        cache.setNode(cid1, 'node1', 10)
+        cache.setNode(cid2, 'node2', 10)
+        // Makes `cid2` the least recently used one
+        cache.getNode(cid1)
+        cache.setNode(cid3, 'node3', 10)
+        expect(cache.getNode(cid2)).to.be.undefined()
+        expect(cache.getNode(cid1)).to.eql('node1')
+        expect(cache.getNode(cid3)).to.eql('node3')
+      })
+
+      it('evicts entries if the size limit is exceeded', () => {
+        const cache = new NodeCache({ maxSize: 25 })
+        cache.setNode(cid1, 'node1', 10)
+        cache.setNode(cid2, 'node2', 10)
+        cache.setNode(cid3, 'node3', 10)
+        expect(cache.getNode(cid1)).to.be.undefined()
+        expect(cache.stats().size).to.equal(20)
+      })
+
+      it('does not cache entries bigger than the cache', () => {
+        const cache = new NodeCache({ maxSize: 5 })
+        cache.setNode(cid1, 'node1', 10)
+        expect(cache.stats().entries).to.equal(0)
+      })
+
+      it('deletes everything belonging to a CID', () => {
+        const cache = new NodeCache()
+        cache.setNode(cid1, 'node1', 10)
+        cache.setResult(cid1, 'a', { value: 'a' }, 10)
+        cache.setNode(cid2, 'node2', 10)
+        cache.delete(cid1)
+        expect(cache.stats().entries).to.equal(1)
+        expect(cache.getNode(cid2)).to.eql('node2')
+      })
+
+      it('copies the values', () => {
+        const cache = new NodeCache()
+        const node = { list: [1, 2], data: Buffer.from('data'), link: cid2 }
+        node.self = node
+        cache.setNode(cid1, node, 10)
+        node.list.push(3)
+
+        const copy = cache.getNode(cid1)
+        expect(copy.list).to.eql([1, 2])
+        expect(copy.data).to.eql(Buffer.from('data'))
+        expect(copy.link.equals(cid2)).to.be.true()
+        expect(copy.self).to.equal(copy)
+
+        copy.data[0] = 0
+        copy.link.codec = 'raw'
+        expect(cache.getNode(cid1).data).to.eql(Buffer.from('data'))
+        expect(cache.getNode(cid1).link.codec).to.equal(cid2.codec)
+      })
+    })
+
+    describe('IPLDResolver', () => {
+      let resolver
+      let cid
+
+      before((done) => {
+        const bs = new BlockService(repo)
+        resolver = new IPLDResolver({ blockService: bs, cache: true })
+        resolver.put({ some: { nested: 'data' } }, { format: 'dag-cbor' }, (err, c) => {
+          expect(err).to.not.exist()
+          cid = c
+          done()
+        })
+      })
+
+      it('is disabled by default', () => {
+        const bs = new BlockService(repo)
+        const r = new IPLDResolver({ blockService: bs })
+        expect(r.cache).to.be.null()
+      })
+
+      it('takes options', () => {
+        const bs = new BlockService(repo)
+        const r = new IPLDResolver({ blockService: bs, cache: { maxEntries: 5 } })
+        expect(r.cache.maxEntries).to.equal(5)
+        expect(r.cache.maxSize).to.equal(NodeCache.defaultOptions.maxSize)
+      })
+
+      it('caches deserialized nodes', (done) => {
+        const before = resolver.cache.stats()
+        waterfall([
+          (cb) => resolver.get(cid, cb),
+          (result, cb) => resolver.get(cid, cb)
+        ], (err, result) => {
+          expect(err).to.not.exist()
+          expect(result.value).to.eql({ some: { nested: 'data' } })
+          const after = resolver.cache.stats()
+          expect(after.misses - before.misses).to.equal(1)
+          expect(after.hits - before.hits).to.equal(1)
+          done()
+        })
+      })
+
+      it('caches resolver results', (done) => {
+        const before = resolver.cache.stats()
+        waterfall([
+          (cb) => resolver.get(cid, 'some/nested', cb),
+          (result, cb) => resolver.get(cid, 'some/nested', cb)
+        ], (err, result) => {
+          expect(err).to.not.exist()
+          expect(result.value).to.eql('data')
+          const after = resolver.cache.stats()
+          expect(after.misses - before.misses).to.equal(1)
+          expect(after.hits - before.hits).to.equal(1)
+          done()
+        })
+      })
+
+      it('is not affected by modifying the returned values', async () => {
+        const node = await resolver.get(cid)
+        node.value.some.nested = 'changed'
+        const nested = await resolver.get(cid, 'some')
+        nested.value.added = true
+
+        expect((await resolver.get(cid)).value).to.eql({ some: { nested: 'data' } })
+        expect((await resolver.get(cid, 'some')).value).to.eql({ nested: 'data' })
+      })
+
+      it('evicts removed nodes', (done) => {
+        waterfall([
+          (cb) => resolver.put({ removeMe: true }, { format: 'dag-cbor' }, cb),
+          (cid, cb) => resolver.get(cid, (err) => cb(err, cid)),
+          (cid, cb) => resolver.remove(cid, (err) => cb(err, cid)),
+          (cid, cb) => resolver.get(cid, (err) => {
+            expect(err).to.exist()
+            cb()
+          })
+        ], done)
+      })
+    })
+  })
+}
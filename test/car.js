@@ -0,0 +1,306 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const Block = require('ipfs-block')
+const CID = require('cids')
+const dagCBOR = require('ipld-dag-cbor')
+const dagPB = require('ipld-dag-pb')
+const multihashing = require('multihashing-async')
+const pull = require('pull-stream')
+const varint = require('varint')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+const { decodeBlock, encodeBlock, encodeHeader } = require('../src/car')
+
+// Split a CAR file into its header and blocks
+const decodeCar = (data, callback) => {
+  const sections = []
+  let offset = 0
+  while (offset < data.length) {
+    const length = varint.decode(data, offset)
+    offset += varint.decode.bytes
+    sections.push(data.slice(offset, offset + length))
+    offset += length
+  }
+
+  dagCBOR.util.deserialize(sections[0], (err, header) => {
+    if (err) {
+      return callback(err)
+    }
+    const cids = sections.slice(1).map((section) => decodeBlock(section).cid)
+    callback(null, { header, cids })
+  })
+}
+
+const exportCar = (resolver, cid, options, callback) => {
+  pull(
+    resolver.exportCar(cid, options),
+    pull.collect((err, buffers) => {
+      if (err) {
+        return callback(err)
+      }
+      decodeCar(Buffer.concat(buffers), callback)
+    })
+  )
+}
+
+describe('IPLD Resolver CAR export', () => {
+  let resolver
+
+  let cidPb
+  let cidLeaf
+  let cidShared
+  let cidRoot
+
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        dagPB.DAGNode.create(Buffer.from('I am inside a Protobuf'), cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb', hashAlg: 'sha2-256', version: 0 }, cb),
+      (cid, cb) => {
+        cidPb = cid
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ pb: cidPb, leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidShared = cid
+        resolver.put({
+          first: { shared: cidShared },
+          second: cidShared,
+          data: 'root'
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  it('exports the whole DAG', (done) => {
+    exportCar(resolver, cidRoot, {}, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.header.version).to.equal(1)
+      expect(car.header.roots).to.eql([cidRoot])
+      expect(car.cids).to.eql([cidRoot, cidShared, cidPb, cidLeaf])
+      done()
+    })
+  })
+
+  it('exports up to a certain depth', (done) => {
+    exportCar(resolver, cidRoot, { depth: 1 }, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.cids).to.eql([cidRoot, cidShared])
+      done()
+    })
+  })
+
+  it('exports only the root with depth 0', (done) => {
+    exportCar(resolver, cidRoot, { depth: 0 }, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.cids).to.eql([cidRoot])
+      done()
+    })
+  })
+
+  it('exports the blocks of a path and the graph below it', (done) => {
+    exportCar(resolver, cidRoot, { path: 'second/leaf' }, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.header.roots).to.eql([cidRoot])
+      expect(car.cids).to.eql([cidRoot, cidShared, cidLeaf])
+      done()
+    })
+  })
+
+  it('exports only the links below a path within a block', (done) => {
+    exportCar(resolver, cidRoot, { path: 'data' }, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.cids).to.eql([cidRoot])
+      done()
+    })
+  })
+
+  it('follows links below a path within a block', (done) => {
+    exportCar(resolver, cidRoot, { path: 'first', depth: 1 }, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.cids).to.eql([cidRoot, cidShared])
+      done()
+    })
+  })
+
+  it('fails on unavailable path', (done) => {
+    exportCar(resolver, cidRoot, { path: 'nonexistent' }, (err) => {
+      expect(err).to.exist()
+      done()
+    })
+  })
+
+  it('fails on an invalid CID', (done) => {
+    exportCar(resolver, 'nope', {}, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_CID')
+      done()
+    })
+  })
+
+  it('exports the blocks a selector traverses', (done) => {
+    const selector = {
+      exploreFields: {
+        fields: {
+          first: { exploreAll: { next: { exploreFields: { fields: { pb: { matcher: {} } } } } } }
+        }
+      }
+    }
+    exportCar(resolver, cidRoot, { selector }, (err, car) => {
+      expect(err).to.not.exist()
+      expect(car.header.roots).to.eql([cidRoot])
+      expect(car.cids).to.eql([cidRoot, cidShared, cidPb])
+      done()
+    })
+  })
+
+  it('fails if a selector is combined with a path', (done) => {
+    exportCar(resolver, cidRoot, { selector: { matcher: {} }, path: 'data' }, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+      done()
+    })
+  })
+})
+
+describe('IPLD Resolver CAR import', () => {
+  let resolver
+  let car
+  let cidLeaf
+  let cidRoot
+
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ leaf: cidLeaf, data: 'root' }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidRoot = cid
+        pull(resolver.exportCar(cidRoot), pull.collect(cb))
+      }
+    ], (err, buffers) => {
+      car = Buffer.concat(buffers)
+      done(err)
+    })
+  })
+
+  it('imports the blocks and returns the roots', (done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (target, cb) => target.importCar(pull.values([car]), (err, result) => {
+        expect(err).to.not.exist()
+        expect(result.roots).to.eql([cidRoot])
+        expect(result.unsupported).to.eql([])
+        target.get(cidRoot, 'leaf/leaf', cb)
+      })
+    ], (err, result) => {
+      expect(err).to.not.exist()
+      expect(result.value).to.equal(true)
+      done()
+    })
+  })
+
+  it('imports a file split into arbitrary chunks', async () => {
+    const chunks = []
+    for (let ii = 0; ii < car.length; ii += 3) {
+      chunks.push(car.slice(ii, ii + 3))
+    }
+    const target = await IPLDResolver.inMemory()
+    const result = await target.importCar(pull.values(chunks))
+    expect(result.roots).to.eql([cidRoot])
+    const node = await target.get(cidLeaf)
+    expect(node.value).to.eql({ leaf: true })
+  })
+
+  it('stores and reports blocks with unsupported codecs', (done) => {
+    const data = Buffer.from('unsupported')
+    waterfall([
+      (cb) => multihashing(data, 'sha2-256', cb),
+      (mh, cb) => {
+        const block = new Block(data, new CID(1, 'bitcoin-block', mh))
+        encodeHeader([block.cid], (err, header) => {
+          cb(err, block, Buffer.concat([header, encodeBlock(block)]))
+        })
+      },
+      (block, file, cb) => resolver.importCar(pull.values([file]), (err, result) => {
+        expect(err).to.not.exist()
+        expect(result.unsupported).to.eql([block.cid])
+        resolver.bs.get(block.cid, cb)
+      })
+    ], (err, block) => {
+      expect(err).to.not.exist()
+      expect(block.data).to.eql(data)
+      done()
+    })
+  })
+
+  it('fails if a block does not match its CID', (done) => {
+    const tampered = Buffer.from(car)
+    // The last byte is part of the data of the last block
+    tampered[tampered.length - 1] ^= 0xff
+    resolver.importCar(pull.values([tampered]), (err) => {
+      expect(err.code).to.equal('ERR_CORRUPT_BLOCK')
+      done()
+    })
+  })
+
+  it('fails on a truncated file', (done) => {
+    resolver.importCar(pull.values([car.slice(0, car.length - 1)]), (err) => {
+      expect(err.code).to.equal('ERR_INVALID_CAR')
+      done()
+    })
+  })
+
+  it('fails on an unsupported version', (done) => {
+    dagCBOR.util.serialize({ roots: [], version: 2 }, (err, header) => {
+      expect(err).to.not.exist()
+      const file = Buffer.concat([Buffer.from(varint.encode(header.length)), header])
+      resolver.importCar(pull.values([file]), (err) => {
+        expect(err.code).to.equal('ERR_INVALID_CAR')
+        done()
+      })
+    })
+  })
+
+  it('fails on a block with a malformed CID', (done) => {
+    dagCBOR.util.serialize({ roots: [], version: 1 }, (err, header) => {
+      expect(err).to.not.exist()
+      // The varint of the hash function is cut off
+      const block = Buffer.from([0x01, 0x71, 0xff])
+      const file = Buffer.concat([
+        Buffer.from(varint.encode(header.length)), header,
+        Buffer.from(varint.encode(block.length)), block
+      ])
+      resolver.importCar(pull.values([file]), (err) => {
+        expect(err.code).to.equal('ERR_INVALID_CAR')
+        done()
+      })
+    })
+  })
+
+  it('fails on an empty file', (done) => {
+    resolver.importCar(pull.values([]), (err) => {
+      expect(err.code).to.equal('ERR_INVALID_CAR')
+      done()
+    })
+  })
+})
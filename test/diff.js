@@ -0,0 +1,164 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const dagPB = require('ipld-dag-pb')
+const pull = require('pull-stream')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver diff', () => {
+  let resolver
+
+  let cidChildA
+  let cidChildB
+  let cidA
+  let cidB
+
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put({ leaf: 1, same: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidChildA = cid
+        resolver.put({ leaf: 2, same: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidChildB = cid
+        resolver.put({
+          name: 'version',
+          count: 1,
+          child: cidChildA,
+          shared: cidChildA,
+          nested: { x: 1, y: 2 },
+          gone: true
+        }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidA = cid
+        resolver.put({
+          name: 'version',
+          count: 2,
+          child: cidChildB,
+          shared: cidChildA,
+          nested: { x: 1, y: 3 },
+          fresh: 'yes'
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidB = cid
+      done(err)
+    })
+  })
+
+  const diff = (cidA, cidB, callback) => {
+    pull(
+      resolver.diffStream(cidA, cidB),
+      pull.collect((err, changes) => {
+        if (err) {
+          return callback(err)
+        }
+        callback(null, changes.sort((a, b) => a.path < b.path ? -1 : 1))
+      })
+    )
+  }
+
+  it('emits added, removed and changed values', (done) => {
+    diff(cidA, cidB, (err, changes) => {
+      expect(err).to.not.exist()
+      expect(changes).to.eql([
+        { type: 'changed', path: 'child/leaf', old: 1, new: 2 },
+        { type: 'changed', path: 'count', old: 1, new: 2 },
+        { type: 'added', path: 'fresh', new: 'yes' },
+        { type: 'removed', path: 'gone', old: true },
+        { type: 'changed', path: 'nested/y', old: 2, new: 3 }
+      ])
+      done()
+    })
+  })
+
+  it('emits the opposite changes if the order is swapped', (done) => {
+    diff(cidB, cidA, (err, changes) => {
+      expect(err).to.not.exist()
+      expect(changes.map((change) => change.type)).to.eql([
+        'changed', 'changed', 'removed', 'added', 'changed'
+      ])
+      done()
+    })
+  })
+
+  it('emits nothing for identical DAGs', (done) => {
+    diff(cidA, cidA, (err, changes) => {
+      expect(err).to.not.exist()
+      expect(changes).to.eql([])
+      done()
+    })
+  })
+
+  it('emits the CIDs if a link replaces a value', async () => {
+    const cidValue = await resolver.put({ child: 'value' }, { format: 'dag-cbor' })
+    const cidLink = await resolver.put({ child: cidChildA }, { format: 'dag-cbor' })
+    const changes = []
+    for await (const change of resolver.diffIterator(cidValue, cidLink)) {
+      changes.push(change)
+    }
+    expect(changes).to.eql([
+      { type: 'changed', path: 'child', old: 'value', new: cidChildA }
+    ])
+  })
+
+  it('compares dag-pb nodes', (done) => {
+    waterfall([
+      (cb) => dagPB.DAGNode.create(Buffer.from('old'), [
+        { name: 'child', size: 1, cid: cidChildA }
+      ], cb),
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cidOld, cb) => dagPB.DAGNode.create(Buffer.from('new'), [
+        { name: 'child', size: 1, cid: cidChildB }
+      ], (err, node) => cb(err, cidOld, node)),
+      (cidOld, node, cb) => resolver.put(node, { format: 'dag-pb' }, (err, cidNew) => {
+        cb(err, cidOld, cidNew)
+      }),
+      (cidOld, cidNew, cb) => diff(cidOld, cidNew, cb)
+    ], (err, changes) => {
+      expect(err).to.not.exist()
+      expect(changes).to.eql([
+        { type: 'changed', path: 'Data', old: Buffer.from('old'), new: Buffer.from('new') },
+        { type: 'changed', path: 'Links/0/Hash/leaf', old: 1, new: 2 }
+      ])
+      done()
+    })
+  })
+
+  it('compares blocks without paths as a whole', async () => {
+    const cidRawA = await resolver.put(Buffer.from('a'), { format: 'raw' })
+    const cidRawB = await resolver.put(Buffer.from('b'), { format: 'raw' })
+    const cidParentA = await resolver.put({ raw: cidRawA }, { format: 'dag-cbor' })
+    const cidParentB = await resolver.put({ raw: cidRawB }, { format: 'dag-cbor' })
+    const changes = await new Promise((resolve, reject) => {
+      diff(cidParentA, cidParentB, (err, changes) => err ? reject(err) : resolve(changes))
+    })
+    expect(changes).to.eql([
+      { type: 'changed', path: 'raw', old: cidRawA, new: cidRawB }
+    ])
+  })
+
+  it('fails if a block is missing', (done) => {
+    waterfall([
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => resolver.put({ child: cid }, { format: 'dag-cbor' }, cb),
+      (cid, cb) => diff(cidA, cid, cb)
+    ], (err) => {
+      expect(err).to.exist()
+      done()
+    })
+  })
+})
@@ -0,0 +1,135 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const Block = require('ipfs-block')
+const dagCBOR = require('ipld-dag-cbor')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver integrity', () => {
+  let resolver
+  let verifying
+
+  let cidCorrupt
+  let cidMissing
+  let cidLeaf
+  let cidRoot
+
+  // The corrupt block is linked from the root and from the leaf, its
+  // stored data doesn't match its CID
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        verifying = new IPLDResolver({
+          blockService: resolver.bs,
+          verifyBlocks: true
+        })
+        dagCBOR.util.cid({ corrupt: false }, cb)
+      },
+      (cid, cb) => {
+        cidCorrupt = cid
+        dagCBOR.util.serialize({ corrupt: true }, cb)
+      },
+      (data, cb) => resolver.bs.put(new Block(data, cidCorrupt), cb),
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => {
+        cidMissing = cid
+        resolver.put({ corrupt: cidCorrupt }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({
+          leaf: cidLeaf,
+          corrupt: cidCorrupt,
+          missing: cidMissing
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  describe('verifyBlocks', () => {
+    it('does not check the blocks by default', (done) => {
+      resolver.get(cidCorrupt, (err, result) => {
+        expect(err).to.not.exist()
+        expect(result.value).to.eql({ corrupt: true })
+        done()
+      })
+    })
+
+    it('rejects corrupt blocks', (done) => {
+      verifying.get(cidCorrupt, (err) => {
+        expect(err).to.be.an.instanceof(IPLDResolver.errors.CorruptBlockError)
+        expect(err.code).to.equal('ERR_CORRUPT_BLOCK')
+        expect(err.cid).to.eql(cidCorrupt)
+        done()
+      })
+    })
+
+    it('rejects corrupt blocks while resolving a path', (done) => {
+      verifying.get(cidRoot, 'leaf/corrupt/corrupt', (err) => {
+        expect(err.code).to.equal('ERR_CORRUPT_BLOCK')
+        done()
+      })
+    })
+
+    it('rejects corrupt blocks of getMany', (done) => {
+      verifying.getMany([cidLeaf, cidCorrupt], (err) => {
+        expect(err.code).to.equal('ERR_CORRUPT_BLOCK')
+        done()
+      })
+    })
+
+    it('accepts intact blocks', (done) => {
+      verifying.get(cidLeaf, (err, result) => {
+        expect(err).to.not.exist()
+        expect(result.value).to.eql({ corrupt: cidCorrupt })
+        done()
+      })
+    })
+  })
+
+  describe('fsck', () => {
+    it('checks only the block itself by default', (done) => {
+      resolver.fsck(cidRoot, (err, report) => {
+        expect(err).to.not.exist()
+        expect(report).to.eql({ blocks: 1, corrupt: [], missing: [] })
+        done()
+      })
+    })
+
+    it('reports corrupt and missing blocks of a DAG', (done) => {
+      resolver.fsck(cidRoot, { recursive: true }, (err, report) => {
+        expect(err).to.not.exist()
+        expect(report).to.eql({
+          blocks: 3,
+          corrupt: [{ cid: cidCorrupt, paths: ['corrupt', 'leaf/corrupt'] }],
+          missing: [{ cid: cidMissing, paths: ['missing'] }]
+        })
+        done()
+      })
+    })
+
+    it('reports corrupt blocks with verifyBlocks', async () => {
+      const report = await verifying.fsck(cidRoot, { recursive: true })
+      expect(report.blocks).to.equal(3)
+      expect(report.corrupt).to.eql([
+        { cid: cidCorrupt, paths: ['corrupt', 'leaf/corrupt'] }
+      ])
+    })
+
+    it('reports a corrupt root', async () => {
+      const report = await resolver.fsck(cidCorrupt)
+      expect(report.corrupt).to.eql([{ cid: cidCorrupt, paths: [''] }])
+    })
+  })
+})
@@ -0,0 +1,167 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const dagPB = require('ipld-dag-pb')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver gc', () => {
+  let resolver
+
+  let cidPb
+  let cidLeaf
+  let cidRoot
+  let cidOrphan
+  let cidOrphanLeaf
+
+  //   root      orphan
+  //   /  \        |
+  //  pb  leaf  orphanLeaf
+  beforeEach((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        dagPB.DAGNode.create(Buffer.from('I am inside a Protobuf'), cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb', hashAlg: 'sha2-256', version: 0 }, cb),
+      (cid, cb) => {
+        cidPb = cid
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ pb: cidPb, leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidRoot = cid
+        resolver.put({ orphan: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidOrphanLeaf = cid
+        resolver.put({ leaf: cidOrphanLeaf }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidOrphan = cid
+      done(err)
+    })
+  })
+
+  const sizeOf = (cids, callback) => {
+    resolver.bs.getMany(cids, (err, blocks) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, blocks.reduce((size, block) => size + block.data.length, 0))
+    })
+  }
+
+  const sorted = (cids) => cids.map((cid) => cid.toBaseEncodedString()).sort()
+
+  it('removes all blocks that are not reachable from the roots', (done) => {
+    waterfall([
+      (cb) => sizeOf([cidOrphan, cidOrphanLeaf], cb),
+      (size, cb) => resolver.gc([cidRoot], (err, result) => {
+        expect(err).to.not.exist()
+        expect(sorted(result.removed)).to.eql(sorted([cidOrphan, cidOrphanLeaf]))
+        expect(result.size).to.equal(size)
+        resolver.get(cidOrphan, (err) => {
+          expect(err).to.exist()
+          resolver.get(cidRoot, 'pb/Data', cb)
+        })
+      })
+    ], (err, result) => {
+      expect(err).to.not.exist()
+      expect(result.value).to.eql(Buffer.from('I am inside a Protobuf'))
+      done()
+    })
+  })
+
+  it('keeps blocks reachable from any of the roots', async () => {
+    const result = await resolver.gc([cidOrphan, cidLeaf])
+    expect(sorted(result.removed)).to.eql(sorted([cidRoot, cidPb]))
+    const node = await resolver.get(cidOrphan, 'leaf/orphan')
+    expect(node.value).to.equal(true)
+  })
+
+  it('removes everything without roots', async () => {
+    const result = await resolver.gc([])
+    expect(result.removed.length).to.equal(5)
+  })
+
+  it('only reports the blocks with dryRun', async () => {
+    const result = await resolver.gc([cidRoot], { dryRun: true })
+    expect(sorted(result.removed)).to.eql(sorted([cidOrphan, cidOrphanLeaf]))
+    expect(result.size).to.be.above(0)
+    const node = await resolver.get(cidOrphan)
+    expect(node.value).to.eql({ leaf: cidOrphanLeaf })
+  })
+
+  it('only lists the keys of the blocks', async () => {
+    const blocks = resolver.bs._repo.blocks
+    const query = blocks.query
+    const get = resolver.bs.get
+    const queries = []
+    const read = []
+    blocks.query = function (q) {
+      queries.push(q)
+      return query.apply(this, arguments)
+    }
+    resolver.bs.get = function (cid) {
+      read.push(cid)
+      return get.apply(this, arguments)
+    }
+
+    try {
+      await resolver.gc([cidOrphan, cidOrphanLeaf, cidPb, cidLeaf], { dryRun: true })
+    } finally {
+      blocks.query = query
+      resolver.bs.get = get
+    }
+    expect(queries).to.eql([{ keysOnly: true }])
+    // The marked blocks are read by the walk, the only unreachable block
+    // only once to get its size
+    expect(read.filter((cid) => cid.equals(cidRoot))).to.have.length(1)
+  })
+
+  it('removes nothing if a reachable block is missing', (done) => {
+    waterfall([
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => resolver.put({ link: cid }, { format: 'dag-cbor' }, cb),
+      (cid, cb) => resolver.gc([cid], (err) => {
+        expect(err).to.exist()
+        resolver.get(cidOrphan, cb)
+      })
+    ], (err) => {
+      expect(err).to.not.exist()
+      done()
+    })
+  })
+
+  it('fails on invalid input', (done) => {
+    resolver.gc(cidRoot, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+      done()
+    })
+  })
+
+  it('fails if the block service cannot list its blocks', (done) => {
+    const bs = resolver.bs
+    const other = new IPLDResolver({
+      blockService: {
+        get: bs.get.bind(bs),
+        delete: bs.delete.bind(bs)
+      }
+    })
+    other.gc([cidRoot], (err) => {
+      expect(err.code).to.equal('ERR_NOT_SUPPORTED')
+      done()
+    })
+  })
+})
@@ -16,6 +16,7 @@ const dagCBOR = require('ipld-dag-cbor')
 const each = require('async/each')
 const waterfall = require('async/waterfall')
 const CID = require('cids')
+const pull = require('pull-stream')
 
 const IPLDResolver = require('../src')
 
@@ -134,6 +135,7 @@ describe('IPLD Resolver for dag-cbor + dag-pb', () => {
     it('should return error on invalid CID', (done) => {
       resolver.getMany([cidCbor, 'invalidcid'], (err, result) => {
         expect(err.message).to.equal('Not a valid cid')
+        expect(err.code).to.equal('ERR_INVALID_CID')
         expect(result).to.be.undefined()
         done()
       })
@@ -143,7 +145,8 @@ describe('IPLD Resolver for dag-cbor + dag-pb', () => {
       const nonExistentCid = new CID(
         'Qma4hjFTnCasJ8PVp3mZbZK5g2vGDT4LByLJ7m8ciyRFZP')
       resolver.getMany([cidCbor, nonExistentCid], (err, result) => {
-        expect(err.message).to.equal('Not Found')
+        expect(err.code).to.equal('ERR_BLOCK_NOT_FOUND')
+        expect(err.cid).to.eql(nonExistentCid)
         expect(result).to.be.undefined()
         done()
       })
@@ -157,4 +160,226 @@ describe('IPLD Resolver for dag-cbor + dag-pb', () => {
       })
     })
   })
+
+  describe('putMany', () => {
+    it('should store nodes of mixed formats', (done) => {
+      const nodeCbor2 = { someData: 'I am another Cbor object', pb: cidPb }
+      resolver.putMany([nodePb, nodeCbor2], [
+        { format: 'dag-pb', hashAlg: 'sha2-256', version: 0 },
+        { format: 'dag-cbor' }
+      ], (err, cids) => {
+        expect(err).to.not.exist()
+        expect(cids.length).to.equal(2)
+        expect(cids[0]).to.eql(cidPb)
+        expect(cids[1].codec).to.equal('dag-cbor')
+
+        resolver.getMany(cids, (err, result) => {
+          expect(err).to.not.exist()
+          expect(result).to.deep.equal([nodePb, nodeCbor2])
+          done()
+        })
+      })
+    })
+
+    it('should return CIDs in input order', (done) => {
+      const nodes = [{ one: 1 }, { two: 2 }, { three: 3 }]
+      waterfall([
+        (cb) => resolver.putMany(nodes, { format: 'dag-cbor' }, cb),
+        (cids, cb) => resolver.getMany(cids, cb)
+      ], (err, result) => {
+        expect(err).to.not.exist()
+        expect(result).to.deep.equal(nodes)
+        done()
+      })
+    })
+
+    it('should use the given CIDs', (done) => {
+      resolver.putMany([nodeCbor], [{ cid: cidCbor }], (err, cids) => {
+        expect(err).to.not.exist()
+        expect(cids).to.deep.equal([cidCbor])
+        done()
+      })
+    })
+
+    it('does not store nodes when onlyHash is passed', (done) => {
+      waterfall([
+        (cb) => resolver.putMany([{ notStored: true }], {
+          format: 'dag-cbor',
+          onlyHash: true
+        }, cb),
+        (cids, cb) => resolver.bs._repo.blocks.has(cids[0], cb)
+      ], (err, result) => {
+        expect(err).to.not.exist()
+        expect(result).to.be.false()
+        done()
+      })
+    })
+
+    it('should return error on unknown format', (done) => {
+      resolver.putMany([{ some: 'data' }], { format: 'base1' }, (err) => {
+        expect(err.message).to.equal('No resolver found for codec "base1"')
+        done()
+      })
+    })
+
+    it('should return error if the number of options does not match', (done) => {
+      resolver.putMany([{ some: 'data' }], [], (err) => {
+        expect(err.message).to.equal(
+          'IPLDResolver.putMany requires one options object per node')
+        done()
+      })
+    })
+
+    it('should return error on invalid input', (done) => {
+      resolver.putMany('astring', { format: 'dag-cbor' }, (err) => {
+        expect(err.message).to.equal('Argument must be an array of nodes')
+        done()
+      })
+    })
+  })
+
+  describe('resolveStream', () => {
+    it('should report every block that is traversed', (done) => {
+      pull(
+        resolver.resolveStream(cidCbor, 'pb/Data'),
+        pull.collect((err, entries) => {
+          expect(err).to.not.exist()
+          expect(entries.length).to.equal(2)
+
+          expect(entries[0].cid).to.eql(cidCbor)
+          expect(entries[0].codec).to.equal('dag-cbor')
+          expect(entries[0].path).to.equal('pb')
+          expect(entries[0].remainderPath).to.equal('Data')
+          expect(entries[0].value).to.eql(cidPb)
+
+          expect(entries[1].cid).to.eql(cidPb)
+          expect(entries[1].codec).to.equal('dag-pb')
+          expect(entries[1].path).to.equal('Data')
+          expect(entries[1].remainderPath).to.equal('')
+          expect(entries[1].value).to.eql(Buffer.from('I am inside a Protobuf'))
+          done()
+        })
+      )
+    })
+
+    it('should return a single entry without a path', (done) => {
+      pull(
+        resolver.resolveStream(cidCbor),
+        pull.collect((err, entries) => {
+          expect(err).to.not.exist()
+          expect(entries.length).to.equal(1)
+          expect(entries[0].cid).to.eql(cidCbor)
+          expect(entries[0].path).to.equal('')
+          expect(entries[0].remainderPath).to.equal('')
+          expect(entries[0].value).to.eql(nodeCbor)
+          done()
+        })
+      )
+    })
+
+    it('should stop after the first block with localResolve', (done) => {
+      pull(
+        resolver.resolveStream(cidCbor, 'pb/Data', { localResolve: true }),
+        pull.collect((err, entries) => {
+          expect(err).to.not.exist()
+          expect(entries.length).to.equal(1)
+          expect(entries[0].remainderPath).to.equal('Data')
+          done()
+        })
+      )
+    })
+
+    it('should return error on unavailable path', (done) => {
+      pull(
+        resolver.resolveStream(cidCbor, 'pb/nonexistent'),
+        pull.collect((err, entries) => {
+          expect(err).to.exist()
+          done()
+        })
+      )
+    })
+
+    it('should return a single entry for falsy values', async () => {
+      const cid = await resolver.put({ zero: 0, no: false, empty: '' }, { format: 'dag-cbor' })
+
+      const entries = []
+      for await (const entry of resolver.resolveIterator(cid, 'zero')) {
+        entries.push(entry)
+      }
+      expect(entries).to.have.length(1)
+      expect(entries[0].value).to.equal(0)
+
+      expect((await resolver.get(cid, 'no')).value).to.equal(false)
+      expect((await resolver.get(cid, 'empty')).value).to.equal('')
+    })
+
+    it('should be available as async iterator', async () => {
+      const cids = []
+      for await (const entry of resolver.resolveIterator(cidCbor, 'pb/Data')) {
+        cids.push(entry.cid)
+      }
+      expect(cids).to.eql([cidCbor, cidPb])
+    })
+  })
+
+  describe('links', () => {
+    it('should return the links of a node', (done) => {
+      resolver.links(cidCbor, (err, links) => {
+        expect(err).to.not.exist()
+        expect(links).to.eql([{ path: 'pb', cid: cidPb }])
+        done()
+      })
+    })
+
+    it('should return the links of a dag-pb node', async () => {
+      const cidLinking = await resolver.put({ link: cidCbor }, { format: 'dag-cbor' })
+      const node = await new Promise((resolve, reject) => {
+        dagPB.DAGNode.create(Buffer.from('links'), [
+          { name: 'first', size: 1, cid: cidCbor },
+          { name: 'second', size: 1, cid: cidLinking }
+        ], (err, node) => err ? reject(err) : resolve(node))
+      })
+      const cid = await resolver.put(node, { format: 'dag-pb' })
+      const links = await resolver.links(cid)
+      expect(links).to.eql([
+        { path: 'Links/0/Hash', cid: cidCbor },
+        { path: 'Links/1/Hash', cid: cidLinking }
+      ])
+    })
+
+    it('should return no links for a leaf node', async () => {
+      const links = await resolver.links(cidPb)
+      expect(links).to.eql([])
+    })
+
+    it('should use the links function of a format', async () => {
+      let calls = 0
+      const format = {
+        resolver: Object.assign({}, dagCBOR.resolver, {
+          links: (binaryBlob, callback) => {
+            calls++
+            callback(null, [{ path: 'pb', cid: { '/': cidPb.toBaseEncodedString() } }])
+          }
+        }),
+        util: dagCBOR.util
+      }
+      const fast = new IPLDResolver({
+        blockService: resolver.bs,
+        formats: [format, dagPB]
+      })
+      const links = await fast.links(cidCbor)
+      expect(calls).to.equal(1)
+      expect(links).to.eql([{ path: 'pb', cid: cidPb }])
+    })
+
+    it('should return error on non-existent CID', (done) => {
+      dagCBOR.util.cid({ not: 'stored' }, (err, cid) => {
+        expect(err).to.not.exist()
+        resolver.links(cid, (err) => {
+          expect(err).to.exist()
+          done()
+        })
+      })
+    })
+  })
 })
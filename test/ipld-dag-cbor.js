@@ -13,6 +13,7 @@ const pull = require('pull-stream')
 const multihash = require('multihashes')
 
 const IPLDResolver = require('../src')
+const NodeCache = require('../src/cache')
 
 module.exports = (repo) => {
   describe('IPLD Resolver with dag-cbor (MerkleDAG CBOR)', () => {
@@ -254,7 +255,9 @@ module.exports = (repo) => {
       it('resolver.get calls callback for unavailable path', (done) => {
         resolver.get(cid3, `foo/${Date.now()}`, (err) => {
           expect(err).to.exist()
-          expect(err.message).to.contain('path not available')
+          expect(err.code).to.equal('ERR_PATH_NOT_FOUND')
+          expect(err.cid).to.eql(cid3)
+          expect(err.cause.message).to.contain('path not available')
           done()
         })
       })
@@ -296,9 +299,9 @@ module.exports = (repo) => {
         )
       })
 
-      it('resolver.tree recursive', (done) => {
+      it('resolver.tree recursive every occurrence', (done) => {
         pull(
-          resolver.treeStream(cid3, { recursive: true }),
+          resolver.treeStream(cid3, { recursive: true, unique: false }),
           pull.collect((err, values) => {
             expect(err).to.not.exist()
             expect(values).to.eql([
@@ -315,6 +318,77 @@ module.exports = (repo) => {
         )
       })
 
+      it('resolver.tree recursive fetches a block that occurs several times once', async () => {
+        const fetchCounts = async () => {
+          const getBlock = resolver._getBlock
+          const fetched = []
+          resolver._getBlock = function (cid) {
+            fetched.push(cid.toBaseEncodedString())
+            return getBlock.apply(this, arguments)
+          }
+          try {
+            await new Promise((resolve, reject) => pull(
+              resolver.treeStream(cid3, { recursive: true, unique: false }),
+              pull.onEnd((err) => err ? reject(err) : resolve())
+            ))
+          } finally {
+            resolver._getBlock = getBlock
+          }
+          return fetched.filter((key) => key === cid1.toBaseEncodedString()).length
+        }
+
+        expect(await fetchCounts()).to.equal(1)
+
+        // The cache is bounded, evicted blocks are fetched again
+        const maxEntries = NodeCache.defaultOptions.maxEntries
+        NodeCache.defaultOptions.maxEntries = 1
+        try {
+          expect(await fetchCounts()).to.equal(2)
+        } finally {
+          NodeCache.defaultOptions.maxEntries = maxEntries
+        }
+      })
+
+      it('resolver.tree recursive traverses every block once by default', (done) => {
+        pull(
+          resolver.treeStream(cid3, { recursive: true }),
+          pull.collect((err, values) => {
+            expect(err).to.not.exist()
+            expect(values).to.eql([
+              'one',
+              'two',
+              'someData',
+              'one/someData',
+              'two/one',
+              'two/someData'
+            ])
+            done()
+          })
+        )
+      })
+
+      it('resolver.tree recursive with maxBlocks', (done) => {
+        pull(
+          resolver.treeStream(cid3, { recursive: true, unique: false, maxBlocks: 3 }),
+          pull.collect((err, values) => {
+            expect(err.code).to.equal('ERR_TOO_MANY_BLOCKS')
+            expect(err.maxBlocks).to.equal(3)
+            done()
+          })
+        )
+      })
+
+      it('resolver.tree recursive unique with maxBlocks', (done) => {
+        pull(
+          resolver.treeStream(cid3, { recursive: true, maxBlocks: 3 }),
+          pull.collect((err, values) => {
+            expect(err).to.not.exist()
+            expect(values.length).to.eql(6)
+            done()
+          })
+        )
+      })
+
       it('resolver.tree with exist()ent path recursive', (done) => {
         pull(
           resolver.treeStream(cid3, 'two', { recursive: true }),
@@ -257,6 +257,18 @@ module.exports = (repo) => {
         })
       })
 
+      it('resolver.createProof + resolver.verifyProof', (done) => {
+        resolver.createProof(tagCid, 'object/parents/0/tree/somefile/hash', (err, proof) => {
+          expect(err).to.not.exist()
+          expect(proof.blocks.length).to.equal(5)
+          resolver.verifyProof(proof, (err, result) => {
+            expect(err).to.not.exist()
+            expect(blobNode.toString('hex')).to.eql(result.value.toString('hex'))
+            done()
+          })
+        })
+      })
+
       it('resolver.remove', (done) => {
         resolver.put(blobNode, { cid: blobCid }, (err) => {
           expect(err).to.not.exist()
@@ -0,0 +1,79 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver missing', () => {
+  let resolver
+
+  let cidX
+  let cidY
+  let cidA
+  let cidRoot
+
+  // Neither x nor y are stored, x is linked from root and from a
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put({ x: true }, { format: 'dag-cbor', onlyHash: true }, cb)
+      },
+      (cid, cb) => {
+        cidX = cid
+        resolver.put({ y: true }, { format: 'dag-cbor', onlyHash: true }, cb)
+      },
+      (cid, cb) => {
+        cidY = cid
+        resolver.put({ x: cidX }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidA = cid
+        resolver.put({ y: cidY }, { format: 'dag-cbor' }, cb)
+      },
+      (cidB, cb) => resolver.put({ a: cidA, b: cidB, gone: cidX }, { format: 'dag-cbor' }, cb)
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  it('reports the missing blocks and the paths linking to them', (done) => {
+    resolver.missing(cidRoot, (err, missing) => {
+      expect(err).to.not.exist()
+      expect(missing).to.eql([
+        { cid: cidX, paths: ['gone', 'a/x'] },
+        { cid: cidY, paths: ['b/y'] }
+      ])
+      done()
+    })
+  })
+
+  it('reports nothing for a complete DAG', async () => {
+    const cidLeaf = await resolver.put({ leaf: true }, { format: 'dag-cbor' })
+    const cid = await resolver.put({ leaf: cidLeaf }, { format: 'dag-cbor' })
+    const missing = await resolver.missing(cid)
+    expect(missing).to.eql([])
+  })
+
+  it('reports a missing root', async () => {
+    const missing = await resolver.missing(cidX)
+    expect(missing).to.eql([{ cid: cidX, paths: [''] }])
+  })
+
+  it('fails on other errors', (done) => {
+    resolver.support.rm('dag-cbor')
+    resolver.missing(cidRoot, (err) => {
+      resolver.support.add('dag-cbor', dagCBOR.resolver, dagCBOR.util)
+      expect(err.message).to.equal('No resolver found for codec "dag-cbor"')
+      done()
+    })
+  })
+})
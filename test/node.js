@@ -28,6 +28,8 @@ describe('Node.js', () => {
 
   require('./basics')(repo)
   require('./format-support')(repo)
+  require('./async-api')(repo)
+  require('./cache')(repo)
   require('./ipld-dag-pb')(repo)
   require('./ipld-dag-cbor')(repo)
   require('./ipld-git')(repo)
@@ -36,4 +38,21 @@ describe('Node.js', () => {
   require('./ipld-bitcoin')(repo)
   require('./ipld-zcash')(repo)
   require('./ipld-all')
+  require('./proof')
+  require('./car')
+  require('./walk')
+  require('./gc')
+  require('./remove')
+  require('./pin')
+  require('./diff')
+  require('./stat')
+  require('./missing')
+  require('./fsck')
+  require('./abort')
+  require('./prefetch')
+  require('./select')
+  require('./query')
+  require('./path')
+  require('./patch')
+  require('./transaction')
 })
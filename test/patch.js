@@ -0,0 +1,170 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagPB = require('ipld-dag-pb')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver patch', () => {
+  let resolver
+
+  let cidFile
+  let cidDir
+  let cidLeaf
+  let cidRoot
+
+  // A dag-cbor root that links to a dag-cbor leaf and to a dag-pb directory
+  // with a single file
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        dagPB.DAGNode.create(Buffer.from('file'), cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cid, cb) => {
+        cidFile = cid
+        dagPB.DAGNode.create(Buffer.from('dir'), [{
+          name: 'file.txt',
+          size: 10,
+          cid: cidFile
+        }], cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cid, cb) => {
+        cidDir = cid
+        resolver.put({
+          title: 'leaf',
+          tags: ['a', 'b']
+        }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({
+          meta: { version: 1 },
+          leaf: cidLeaf,
+          dir: cidDir
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  it('sets a value within the root block', (done) => {
+    resolver.patch(cidRoot, 'meta/version', 2, (err, result) => {
+      expect(err).to.not.exist()
+      expect(result.blocks).to.have.length(1)
+      expect(result.blocks[0].cid).to.eql(result.cid)
+      resolver.get(result.cid, 'meta/version', (err, result) => {
+        expect(err).to.not.exist()
+        expect(result.value).to.equal(2)
+        done()
+      })
+    })
+  })
+
+  it('adds a new key', async () => {
+    const result = await resolver.patch(cidRoot, 'meta/author', 'alice')
+    const meta = await resolver.get(result.cid, 'meta')
+    expect(meta.value).to.eql({ version: 1, author: 'alice' })
+  })
+
+  it('rewrites the blocks up to the root', async () => {
+    const result = await resolver.patch(cidRoot, 'leaf/tags/1', 'c')
+    expect(result.blocks).to.have.length(2)
+
+    const leaf = await resolver.get(result.cid, 'leaf')
+    expect(leaf.value).to.eql({ title: 'leaf', tags: ['a', 'c'] })
+    expect(leaf.cid).to.eql(result.blocks[1].cid)
+    expect(leaf.cid).to.not.eql(cidLeaf)
+  })
+
+  it('appends to a list', async () => {
+    const result = await resolver.patch(cidRoot, 'leaf/tags/2', 'c')
+    const tags = await resolver.get(result.cid, 'leaf/tags')
+    expect(tags.value).to.eql(['a', 'b', 'c'])
+  })
+
+  it('rewrites dag-pb nodes and their sizes', async () => {
+    const data = Buffer.from('a longer file')
+    const result = await resolver.patch(cidRoot, 'dir/file.txt/Data', data)
+    expect(result.blocks.map((block) => block.cid.codec)).to.eql([
+      'dag-cbor', 'dag-pb', 'dag-pb'
+    ])
+
+    const file = await resolver.get(result.cid, 'dir/file.txt/Data')
+    expect(file.value).to.eql(data)
+
+    // dag-pb links keep the CID version and contain the new size
+    const dir = await resolver.get(result.cid, 'dir')
+    expect(dir.cid.version).to.equal(0)
+    const link = dir.value.links[0]
+    expect(link.name).to.equal('file.txt')
+    expect(link.size).to.equal(10 + data.length - 'file'.length)
+  })
+
+  it('sets a dag-pb link', async () => {
+    const result = await resolver.patch(cidRoot, 'dir/Links/0/Hash', cidLeaf)
+    const title = await resolver.get(result.cid, 'dir/Links/0/Hash/title')
+    expect(title.value).to.equal('leaf')
+    expect(title.cid).to.eql(cidLeaf)
+
+    // The size is the one of the new linked block
+    const leaf = await new Promise((resolve, reject) => {
+      resolver.bs.get(cidLeaf, (err, block) => err ? reject(err) : resolve(block))
+    })
+    const dir = await resolver.get(result.cid, 'dir')
+    expect(dir.value.links[0].size).to.equal(leaf.data.length)
+  })
+
+  it('replaces the root with an empty path', async () => {
+    const result = await resolver.patch(cidRoot, '', { replaced: true })
+    const root = await resolver.get(result.cid)
+    expect(root.value).to.eql({ replaced: true })
+  })
+
+  it('leaves the original DAG unchanged', async () => {
+    await resolver.patch(cidRoot, 'leaf/title', 'changed')
+    const title = await resolver.get(cidRoot, 'leaf/title')
+    expect(title.value).to.equal('leaf')
+  })
+
+  it('only creates the blocks with onlyHash', (done) => {
+    resolver.patch(cidRoot, 'leaf/title', 'not stored', { onlyHash: true }, (err, result) => {
+      expect(err).to.not.exist()
+      resolver.bs.get(result.cid, (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+  })
+
+  it('fails if the path does not exist', (done) => {
+    resolver.patch(cidRoot, 'meta/missing/key', 1, (err) => {
+      expect(err.code).to.equal('ERR_PATH_NOT_FOUND')
+      done()
+    })
+  })
+
+  it('fails on an invalid dag-pb value', (done) => {
+    resolver.patch(cidRoot, 'dir/Links/0/Hash', 'not a CID', (err) => {
+      expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+      done()
+    })
+  })
+
+  it('fails on an invalid CID', (done) => {
+    resolver.patch('invalid', 'meta', 1, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_CID')
+      done()
+    })
+  })
+})
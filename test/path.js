@@ -0,0 +1,171 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const pull = require('pull-stream')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+const ipldPath = require('../src/path')
+
+describe('IPLD paths', () => {
+  describe('parse', () => {
+    it('splits a path into keys and indexes', () => {
+      expect(ipldPath.parse('a/0/b/12')).to.eql(['a', 0, 'b', 12])
+    })
+
+    it('ignores empty and `.` segments and resolves `..`', () => {
+      expect(ipldPath.parse('//a/./b/../c/')).to.eql(['a', 'c'])
+      expect(ipldPath.parse('../a')).to.eql(['a'])
+      expect(ipldPath.parse('')).to.eql([])
+      expect(ipldPath.parse()).to.eql([])
+    })
+
+    it('treats integers with leading zeros as keys', () => {
+      expect(ipldPath.parse('01/-1/1.5')).to.eql(['01', '-1', '1.5'])
+    })
+
+    it('unescapes segments', () => {
+      expect(ipldPath.parse('a\\/b/c\\\\d')).to.eql(['a/b', 'c\\d'])
+      expect(ipldPath.parse('\\../\\./\\0')).to.eql(['..', '.', '0'])
+    })
+
+    it('is independent of the operating system', () => {
+      expect(ipldPath.parse('a\\b')).to.eql(['ab'])
+    })
+
+    it('accepts segments', () => {
+      expect(ipldPath.parse(['a/b', 0, '..'])).to.eql(['a/b', 0, '..'])
+    })
+
+    it('fails on invalid paths', () => {
+      expect(() => ipldPath.parse('a\\')).to.throw(IPLDResolver.errors.InvalidArgumentError)
+      expect(() => ipldPath.parse(['a', -1])).to.throw(/non-negative integers/)
+      expect(() => ipldPath.parse(['a', ''])).to.throw(/non-empty strings/)
+      expect(() => ipldPath.parse(42)).to.throw(/expected a string or an array/)
+    })
+  })
+
+  describe('serialize', () => {
+    it('escapes the keys that need it', () => {
+      const segments = ['a/b', 'c\\d', '..', '.', '0', 0, 'plain']
+      const path = ipldPath.serialize(segments)
+      expect(path).to.equal('a\\/b/c\\\\d/\\../\\./\\0/0/plain')
+      expect(ipldPath.parse(path)).to.eql(segments)
+    })
+
+    it('normalizes paths', () => {
+      expect(ipldPath.normalize('/a//./b/')).to.equal('a/b')
+    })
+  })
+
+  describe('resolving', () => {
+    let resolver
+    let cidLeaf
+    let cidRoot
+
+    before((done) => {
+      waterfall([
+        (cb) => IPLDResolver.inMemory(cb),
+        (res, cb) => {
+          resolver = res
+          resolver.put({
+            'a/b': { c: 'slash' },
+            '..': 'dots',
+            '0': 'zero key',
+            list: ['zero index', 'one']
+          }, { format: 'dag-cbor' }, cb)
+        },
+        (cid, cb) => {
+          cidLeaf = cid
+          resolver.put({
+            leaf: cidLeaf,
+            'x/y': cidLeaf,
+            a: 'a',
+            ab: { c: 'ab' }
+          }, { format: 'dag-cbor' }, cb)
+        }
+      ], (err, cid) => {
+        cidRoot = cid
+        done(err)
+      })
+    })
+
+    it('gets keys containing slashes', async () => {
+      const result = await resolver.get(cidRoot, 'leaf/a\\/b/c')
+      expect(result.value).to.equal('slash')
+    })
+
+    it('follows links of keys containing slashes', async () => {
+      const result = await resolver.get(cidRoot, 'x\\/y/a\\/b/c')
+      expect(result.value).to.equal('slash')
+      expect(result.cid).to.eql(cidLeaf)
+    })
+
+    it('gets escaped `..` keys', async () => {
+      const result = await resolver.get(cidRoot, 'leaf/\\..')
+      expect(result.value).to.equal('dots')
+    })
+
+    it('distinguishes map keys and list indexes', async () => {
+      const key = await resolver.get(cidRoot, ['leaf', '0'])
+      expect(key.value).to.equal('zero key')
+      const index = await resolver.get(cidRoot, ['leaf', 'list', 0])
+      expect(index.value).to.equal('zero index')
+    })
+
+    it('reports the escaped paths while resolving', (done) => {
+      pull(
+        resolver.resolveStream(cidRoot, ['x/y', 'a/b', 'c']),
+        pull.collect((err, entries) => {
+          expect(err).to.not.exist()
+          expect(entries.map((entry) => [entry.path, entry.remainderPath])).to.eql([
+            ['x\\/y', 'a\\/b/c'],
+            ['a\\/b/c', '']
+          ])
+          done()
+        })
+      )
+    })
+
+    it('fails on a missing key containing a slash', (done) => {
+      resolver.get(cidRoot, 'leaf/a\\/c', (err) => {
+        expect(err.code).to.equal('ERR_PATH_NOT_FOUND')
+        expect(err.path).to.equal('a\\/c')
+        done()
+      })
+    })
+
+    it('fails on an invalid path', (done) => {
+      resolver.get(cidRoot, 'leaf\\', (err) => {
+        expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+        done()
+      })
+    })
+
+    it('filters treeStream by whole segments', (done) => {
+      pull(
+        resolver.treeStream(cidRoot, 'a'),
+        pull.collect((err, paths) => {
+          expect(err).to.not.exist()
+          expect(paths).to.eql([])
+          done()
+        })
+      )
+    })
+
+    it('filters treeStream by segments', (done) => {
+      pull(
+        resolver.treeStream(cidRoot, ['ab']),
+        pull.collect((err, paths) => {
+          expect(err).to.not.exist()
+          expect(paths).to.eql(['c'])
+          done()
+        })
+      )
+    })
+  })
+})
@@ -0,0 +1,285 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver pinning', () => {
+  let resolver
+
+  let cidLeaf
+  let cidRoot
+  let cidOther
+
+  //  root    other
+  //   |
+  //  leaf
+  beforeEach((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidRoot = cid
+        resolver.put({ other: true }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidOther = cid
+      done(err)
+    })
+  })
+
+  const types = (pins) => pins.map((pin) => {
+    return `${pin.type} ${pin.cid.toBaseEncodedString()}`
+  })
+
+  describe('add', () => {
+    it('pins recursively by default', async () => {
+      await resolver.pin.add(cidRoot)
+      const pins = await resolver.pin.ls()
+      expect(types(pins)).to.eql(types([
+        { type: 'recursive', cid: cidRoot },
+        { type: 'indirect', cid: cidLeaf }
+      ]))
+    })
+
+    it('pins directly', async () => {
+      await resolver.pin.add(cidRoot, { recursive: false })
+      const pins = await resolver.pin.ls()
+      expect(types(pins)).to.eql(types([{ type: 'direct', cid: cidRoot }]))
+    })
+
+    it('turns a direct pin into a recursive one', async () => {
+      await resolver.pin.add(cidRoot, { recursive: false })
+      await resolver.pin.add(cidRoot)
+      const pins = await resolver.pin.ls({ type: 'recursive' })
+      expect(types(pins)).to.eql(types([{ type: 'recursive', cid: cidRoot }]))
+    })
+
+    it('fails to pin a recursively pinned block directly', (done) => {
+      resolver.pin.add(cidRoot, (err) => {
+        expect(err).to.not.exist()
+        resolver.pin.add(cidRoot, { recursive: false }, (err) => {
+          expect(err.code).to.equal('ERR_PINNED_RECURSIVELY')
+          expect(err.cid).to.eql(cidRoot)
+          done()
+        })
+      })
+    })
+
+    it('fails if a block of the DAG is missing', (done) => {
+      waterfall([
+        (cb) => dagCBOR.util.cid({ missing: true }, cb),
+        (cid, cb) => resolver.put({ missing: cid }, { format: 'dag-cbor' }, cb),
+        (cid, cb) => resolver.pin.add(cid, (err) => {
+          expect(err).to.exist()
+          resolver.pin.ls(cb)
+        })
+      ], (err, pins) => {
+        expect(err).to.not.exist()
+        expect(pins).to.eql([])
+        done()
+      })
+    })
+
+    it('persists the pins in the repo', async () => {
+      await resolver.pin.add(cidOther)
+      const other = new IPLDResolver({ blockService: resolver.bs })
+      const pins = await other.pin.ls()
+      expect(types(pins)).to.eql(types([{ type: 'recursive', cid: cidOther }]))
+    })
+
+    it('does not pin once it was aborted', (done) => {
+      const signal = {
+        aborted: true,
+        addEventListener () {},
+        removeEventListener () {}
+      }
+      resolver.pin.add(cidRoot, { signal }, (err) => {
+        expect(err.code).to.equal('ERR_ABORTED')
+        // Wait until the DAG would have been walked
+        setTimeout(() => {
+          resolver.pin.isPinned(cidRoot, (err, result) => {
+            expect(err).to.not.exist()
+            expect(result.pinned).to.be.false()
+            done()
+          })
+        }, 50)
+      })
+    })
+
+    it('fails if the block service does not support pinning', (done) => {
+      const offline = new IPLDResolver({ blockService: {} })
+      offline.pin.add(cidRoot, (err) => {
+        expect(err.code).to.equal('ERR_NOT_SUPPORTED')
+        done()
+      })
+    })
+
+    it('fails on an invalid CID', (done) => {
+      resolver.pin.add('invalid', (err) => {
+        expect(err.code).to.equal('ERR_INVALID_CID')
+        done()
+      })
+    })
+  })
+
+  describe('rm', () => {
+    it('removes a pin', async () => {
+      await resolver.pin.add(cidRoot)
+      await resolver.pin.rm(cidRoot)
+      const pins = await resolver.pin.ls()
+      expect(pins).to.eql([])
+    })
+
+    it('fails to remove a recursive pin non-recursively', (done) => {
+      resolver.pin.add(cidRoot, (err) => {
+        expect(err).to.not.exist()
+        resolver.pin.rm(cidRoot, { recursive: false }, (err) => {
+          expect(err.code).to.equal('ERR_PINNED_RECURSIVELY')
+          expect(err.cid).to.eql(cidRoot)
+          done()
+        })
+      })
+    })
+
+    it('fails if the block is not pinned', (done) => {
+      resolver.pin.add(cidRoot, (err) => {
+        expect(err).to.not.exist()
+        resolver.pin.rm(cidLeaf, (err) => {
+          expect(err.code).to.equal('ERR_NOT_PINNED')
+          expect(err.cid).to.eql(cidLeaf)
+          done()
+        })
+      })
+    })
+
+    it('fails on an invalid CID', (done) => {
+      resolver.pin.rm('invalid', (err) => {
+        expect(err.code).to.equal('ERR_INVALID_CID')
+        done()
+      })
+    })
+  })
+
+  describe('ls', () => {
+    it('lists pins of a certain type', async () => {
+      await resolver.pin.add(cidRoot)
+      await resolver.pin.add(cidOther, { recursive: false })
+      const direct = await resolver.pin.ls({ type: 'direct' })
+      expect(types(direct)).to.eql(types([{ type: 'direct', cid: cidOther }]))
+      const indirect = await resolver.pin.ls({ type: 'indirect' })
+      expect(types(indirect)).to.eql(types([{ type: 'indirect', cid: cidLeaf }]))
+    })
+
+    it('fails on an invalid type', (done) => {
+      resolver.pin.ls({ type: 'invalid' }, (err) => {
+        expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+        done()
+      })
+    })
+
+    it('fails if the block service does not support pinning', (done) => {
+      const offline = new IPLDResolver({ blockService: {} })
+      offline.pin.ls((err) => {
+        expect(err.code).to.equal('ERR_NOT_SUPPORTED')
+        done()
+      })
+    })
+  })
+
+  describe('isPinned', () => {
+    it('reports the type of the pin', async () => {
+      await resolver.pin.add(cidRoot)
+      expect(await resolver.pin.isPinned(cidRoot)).to.eql({ pinned: true, type: 'recursive' })
+      expect(await resolver.pin.isPinned(cidLeaf)).to.eql({ pinned: true, type: 'indirect' })
+      expect(await resolver.pin.isPinned(cidOther)).to.eql({ pinned: false, type: null })
+    })
+
+    it('fails on an invalid CID', (done) => {
+      resolver.pin.isPinned('invalid', (err) => {
+        expect(err.code).to.equal('ERR_INVALID_CID')
+        done()
+      })
+    })
+
+    it('fails if the block service does not support pinning', (done) => {
+      const offline = new IPLDResolver({ blockService: {} })
+      offline.pin.isPinned(cidRoot, (err) => {
+        expect(err.code).to.equal('ERR_NOT_SUPPORTED')
+        done()
+      })
+    })
+  })
+
+  describe('protection', () => {
+    it('prevents pinned blocks from being removed', (done) => {
+      resolver.pin.add(cidRoot, (err) => {
+        expect(err).to.not.exist()
+        resolver.remove(cidLeaf, (err) => {
+          expect(err.code).to.equal('ERR_PINNED')
+          expect(err.cid).to.eql(cidLeaf)
+          done()
+        })
+      })
+    })
+
+    it('only walks recursively pinned DAGs when there are any', async () => {
+      const reachable = resolver._reachable
+      let walks = 0
+      resolver._reachable = function () {
+        walks++
+        return reachable.apply(this, arguments)
+      }
+
+      try {
+        await resolver.pin.add(cidLeaf, { recursive: false })
+        await resolver.remove(cidOther)
+        expect(walks).to.equal(0)
+
+        // The walk is cached as long as the recursive pins stay the same
+        await resolver.pin.add(cidRoot)
+        const cid = await resolver.put({ another: true }, { format: 'dag-cbor' })
+        await resolver.remove(cid)
+        await resolver.remove(cid)
+        expect(walks).to.equal(1)
+      } finally {
+        resolver._reachable = reachable
+      }
+    })
+
+    it('retains pinned blocks on recursive remove', async () => {
+      await resolver.pin.add(cidLeaf, { recursive: false })
+      const result = await resolver.remove(cidRoot, { recursive: true })
+      expect(result.removed).to.eql([cidRoot])
+      expect(result.retained).to.eql([cidLeaf])
+    })
+
+    it('keeps pinned blocks on gc', async () => {
+      await resolver.pin.add(cidRoot)
+      const result = await resolver.gc([])
+      expect(result.removed).to.eql([cidOther])
+      const node = await resolver.get(cidRoot, 'leaf/leaf')
+      expect(node.value).to.equal(true)
+    })
+
+    it('removes unpinned blocks', async () => {
+      await resolver.pin.add(cidRoot)
+      await resolver.pin.rm(cidRoot)
+      const result = await resolver.gc([])
+      expect(result.removed.length).to.equal(3)
+    })
+  })
+})
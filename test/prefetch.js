@@ -0,0 +1,169 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const pull = require('pull-stream')
+const times = require('async/times')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver prefetch', () => {
+  const delay = 10
+
+  let resolver
+  let gets
+  let running
+  let maxRunning
+
+  let cidShared
+  let cidRoot
+
+  // Every block takes `delay` milliseconds to be retrieved. The root links
+  // to eight children, which all link to the same shared block.
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        const bs = res.bs
+        resolver = new IPLDResolver({
+          blockService: {
+            get: (cid, cb) => {
+              gets++
+              running++
+              maxRunning = Math.max(maxRunning, running)
+              setTimeout(() => bs.get(cid, (err, block) => {
+                running--
+                cb(err, block)
+              }), delay)
+            },
+            getMany: bs.getMany.bind(bs),
+            put: bs.put.bind(bs),
+            putMany: bs.putMany.bind(bs),
+            delete: bs.delete.bind(bs)
+          }
+        })
+        resolver.put({ shared: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidShared = cid
+        times(8, (index, cb) => {
+          resolver.put({ index, shared: cidShared }, { format: 'dag-cbor' }, cb)
+        }, cb)
+      },
+      (cids, cb) => {
+        const node = {}
+        cids.forEach((cid, index) => {
+          node[`child${index}`] = cid
+        })
+        resolver.put(node, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  beforeEach(() => {
+    gets = 0
+    running = 0
+    maxRunning = 0
+  })
+
+  // Every occurrence of the shared block is traversed, unless `unique` is set
+  const tree = (cid, options, callback) => {
+    pull(
+      resolver.treeStream(cid, Object.assign({ recursive: true, unique: false }, options)),
+      pull.collect(callback)
+    )
+  }
+
+  it('fetches one block at a time with a concurrency of 1', (done) => {
+    tree(cidRoot, { concurrency: 1 }, (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.have.length(8 + 8 * 3)
+      expect(maxRunning).to.equal(1)
+      done()
+    })
+  })
+
+  it('fetches at most 10 blocks in parallel by default', (done) => {
+    tree(cidRoot, {}, (err) => {
+      expect(err).to.not.exist()
+      expect(maxRunning).to.be.above(1)
+      expect(maxRunning).to.be.at.most(10)
+      done()
+    })
+  })
+
+  it('emits the same paths in the same order with prefetching', (done) => {
+    tree(cidRoot, { concurrency: 1 }, (err, expected) => {
+      expect(err).to.not.exist()
+      tree(cidRoot, { concurrency: 4 }, (err, paths) => {
+        expect(err).to.not.exist()
+        expect(paths).to.eql(expected)
+        done()
+      })
+    })
+  })
+
+  it('fetches at most `concurrency` blocks in parallel', (done) => {
+    tree(cidRoot, { concurrency: 4 }, (err) => {
+      expect(err).to.not.exist()
+      expect(maxRunning).to.be.above(1)
+      expect(maxRunning).to.be.at.most(4)
+      done()
+    })
+  })
+
+  it('prefetches with unique', (done) => {
+    tree(cidRoot, { unique: true, concurrency: 1 }, (err, expected) => {
+      expect(err).to.not.exist()
+      tree(cidRoot, { unique: true, concurrency: 3 }, (err, paths) => {
+        expect(err).to.not.exist()
+        expect(paths).to.eql(expected)
+        done()
+      })
+    })
+  })
+
+  it('fails if a prefetched block is missing', (done) => {
+    waterfall([
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => resolver.put({ a: cidShared, b: cid }, { format: 'dag-cbor' }, cb),
+      (cid, cb) => tree(cid, { concurrency: 4 }, cb)
+    ], (err) => {
+      expect(err.code).to.equal('ERR_BLOCK_NOT_FOUND')
+      done()
+    })
+  })
+
+  it('fails on an invalid concurrency', (done) => {
+    tree(cidRoot, { concurrency: 0 }, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+      done()
+    })
+  })
+
+  it('stops prefetching when the stream is aborted', (done) => {
+    pull(
+      resolver.treeStream(cidRoot, { recursive: true, concurrency: 2 }),
+      pull.take(1),
+      pull.collect((err, paths) => {
+        expect(err).to.not.exist()
+        expect(paths).to.have.length(1)
+        // Only the prefetches that were already running finish
+        const started = gets
+        setTimeout(() => {
+          expect(gets).to.equal(started)
+          expect(gets).to.be.below(8)
+          done()
+        }, delay * 3)
+      })
+    )
+  })
+})
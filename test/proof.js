@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const Block = require('ipfs-block')
+const dagPB = require('ipld-dag-pb')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver proofs', () => {
+  let resolver
+
+  let nodePb
+  let cidPb
+  let cidCbor
+  let cidRoot
+
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        dagPB.DAGNode.create(Buffer.from('I am inside a Protobuf'), cb)
+      },
+      (node, cb) => {
+        nodePb = node
+        resolver.put(nodePb, { format: 'dag-pb', hashAlg: 'sha2-256', version: 0 }, cb)
+      },
+      (cid, cb) => {
+        cidPb = cid
+        resolver.put({ pb: cidPb, unrelated: 'data' }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidCbor = cid
+        resolver.put({ cbor: cidCbor, other: 'data' }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  describe('createProof', () => {
+    it('contains only the blocks along the path', (done) => {
+      resolver.createProof(cidRoot, 'cbor/pb/Data', (err, proof) => {
+        expect(err).to.not.exist()
+        expect(proof.cid).to.eql(cidRoot)
+        expect(proof.path).to.equal('cbor/pb/Data')
+        expect(proof.blocks.map((block) => block.cid)).to.eql([
+          cidRoot, cidCbor, cidPb
+        ])
+        done()
+      })
+    })
+
+    it('contains a single block for a local path', (done) => {
+      resolver.createProof(cidRoot, 'other', (err, proof) => {
+        expect(err).to.not.exist()
+        expect(proof.blocks.map((block) => block.cid)).to.eql([cidRoot])
+        done()
+      })
+    })
+
+    it('fails for an unavailable path', (done) => {
+      resolver.createProof(cidRoot, 'cbor/nonexistent', (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+  })
+
+  describe('verifyProof', () => {
+    it('resolves the path from the proof', async () => {
+      const proof = await resolver.createProof(cidRoot, 'cbor/pb/Data')
+      const result = await resolver.verifyProof(proof)
+      expect(result.value).to.eql(Buffer.from('I am inside a Protobuf'))
+      expect(result.remainderPath).to.equal('')
+    })
+
+    it('works without access to the repo', async () => {
+      const proof = await resolver.createProof(cidRoot, 'cbor/pb/Data')
+      const offline = new IPLDResolver({ blockService: {} })
+      const result = await offline.verifyProof(proof)
+      expect(result.value).to.eql(Buffer.from('I am inside a Protobuf'))
+    })
+
+    it('fails if a block is missing', async () => {
+      const proof = await resolver.createProof(cidRoot, 'cbor/pb/Data')
+      proof.blocks.pop()
+      try {
+        await resolver.verifyProof(proof)
+      } catch (err) {
+        expect(err.code).to.equal('ERR_BLOCK_NOT_FOUND')
+        expect(err.cid).to.eql(cidPb)
+        return
+      }
+      throw new Error('verifyProof should have failed')
+    })
+
+    it('fails if a block was tampered with', async () => {
+      const proof = await resolver.createProof(cidRoot, 'cbor/pb/Data')
+      const tampered = await new Promise((resolve, reject) => {
+        dagPB.DAGNode.create(Buffer.from('I was tampered with'), (err, node) => {
+          if (err) return reject(err)
+          dagPB.util.serialize(node, (err, data) => {
+            if (err) return reject(err)
+            resolve(data)
+          })
+        })
+      })
+      proof.blocks[2] = new Block(tampered, cidPb)
+      try {
+        await resolver.verifyProof(proof)
+      } catch (err) {
+        expect(err.code).to.equal('ERR_CORRUPT_BLOCK')
+        expect(err.cid).to.eql(cidPb)
+        return
+      }
+      throw new Error('verifyProof should have failed')
+    })
+  })
+})
@@ -0,0 +1,186 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagPB = require('ipld-dag-pb')
+const pull = require('pull-stream')
+const map = require('async/map')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver glob queries', () => {
+  let resolver
+
+  let cidFiles
+  let cidDir
+  let cidPost
+  let cidRoot
+
+  // A dag-pb directory with three files, and dag-cbor posts with authors
+  // at different depths
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        map(['a', 'b', 'c'], (name, cb) => waterfall([
+          (cb) => dagPB.DAGNode.create(Buffer.from(`file ${name}`), cb),
+          (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb)
+        ], cb), cb)
+      },
+      (cids, cb) => {
+        cidFiles = cids
+        dagPB.DAGNode.create(Buffer.from('dir'), cids.map((cid, index) => ({
+          name: `file${index}.txt`,
+          size: 1,
+          cid: cid
+        })), cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cid, cb) => {
+        cidDir = cid
+        resolver.put({
+          author: 'alice',
+          reply: { author: 'bob' }
+        }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidPost = cid
+        resolver.put({
+          author: 'carol',
+          posts: [cidPost],
+          files: cidDir
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  it('expands a wildcard across link boundaries', (done) => {
+    resolver.query(cidDir, 'Links/*/Hash/Data', (err, matches) => {
+      expect(err).to.not.exist()
+      expect(matches).to.eql([0, 1, 2].map((index) => ({
+        path: `Links/${index}/Hash/Data`,
+        cid: cidFiles[index],
+        value: Buffer.from(`file ${'abc'[index]}`)
+      })))
+      done()
+    })
+  })
+
+  it('matches any number of segments with **', async () => {
+    const matches = await resolver.query(cidRoot, '**/author')
+    expect(matches.map((match) => [match.path, match.value]).sort()).to.eql([
+      ['author', 'carol'],
+      ['posts/0/author', 'alice'],
+      ['posts/0/reply/author', 'bob']
+    ])
+    expect(matches.find((match) => match.value === 'alice').cid).to.eql(cidPost)
+  })
+
+  it('matches parts of a segment', async () => {
+    const matches = await resolver.query(cidRoot, 'files/Links/*/Name')
+    const names = matches.map((match) => match.value)
+    expect(names).to.eql(['file0.txt', 'file1.txt', 'file2.txt'])
+
+    const single = await resolver.query(cidRoot, 'pos?s/*/repl*/author')
+    expect(single.map((match) => match.value)).to.eql(['bob'])
+  })
+
+  it('emits every path only once', async () => {
+    const matches = await resolver.query(cidRoot, '**/**/author')
+    expect(matches).to.have.length(3)
+  })
+
+  it('returns a concrete path like get', async () => {
+    const matches = await resolver.query(cidRoot, 'posts/0/reply/author')
+    expect(matches).to.eql([
+      { path: 'posts/0/reply/author', cid: cidPost, value: 'bob' }
+    ])
+  })
+
+  it('returns nothing if nothing matches', async () => {
+    const matches = await resolver.query(cidRoot, '*/nonexistent')
+    expect(matches).to.eql([])
+  })
+
+  it('works with async iterators', async () => {
+    const paths = []
+    for await (const match of resolver.queryIterator(cidRoot, '*')) {
+      paths.push(match.path)
+    }
+    expect(paths).to.eql(['files', 'posts', 'author'])
+  })
+
+  it('fails if the pattern is not a string', (done) => {
+    resolver.query(cidRoot, null, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+      done()
+    })
+  })
+
+  describe('escaping', () => {
+    let cid
+
+    before(async () => {
+      cid = await resolver.put({
+        'a*': { b: 'star' },
+        ab: { b: 'plain' }
+      }, { format: 'dag-cbor' })
+    })
+
+    it('matches escaped wildcards literally', async () => {
+      const matches = await resolver.query(cid, 'a\\*/b')
+      expect(matches.map((match) => match.value)).to.eql(['star'])
+
+      const all = await resolver.query(cid, 'a*/b')
+      expect(all.map((match) => match.value).sort()).to.eql(['plain', 'star'])
+    })
+
+    it('filters treeStream by a key containing a wildcard', (done) => {
+      pull(
+        resolver.treeStream(cid, 'a\\*'),
+        pull.collect((err, paths) => {
+          expect(err).to.not.exist()
+          expect(paths).to.eql(['b'])
+          done()
+        })
+      )
+    })
+  })
+
+  describe('treeStream', () => {
+    const tree = (path, options, callback) => {
+      pull(
+        resolver.treeStream(cidRoot, path, options),
+        pull.collect(callback)
+      )
+    }
+
+    it('filters the paths of a block', (done) => {
+      tree('*', {}, (err, paths) => {
+        expect(err).to.not.exist()
+        expect(paths.sort()).to.eql(['author', 'files', 'posts'])
+        done()
+      })
+    })
+
+    it('filters the paths of a whole DAG', (done) => {
+      tree('**/Links/*/Hash', { recursive: true }, (err, paths) => {
+        expect(err).to.not.exist()
+        expect(paths).to.eql([
+          'files/Links/0/Hash',
+          'files/Links/1/Hash',
+          'files/Links/2/Hash'
+        ])
+        done()
+      })
+    })
+  })
+})
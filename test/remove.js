@@ -0,0 +1,114 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver recursive remove', () => {
+  let resolver
+
+  let cidShared
+  let cidLeaf
+  let cidRoot
+  let cidOther
+
+  //   root     other
+  //   /  \     /
+  // leaf  shared
+  beforeEach((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put({ shared: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidShared = cid
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ leaf: cidLeaf, shared: cidShared }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidRoot = cid
+        resolver.put({ shared: cidShared }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidOther = cid
+      done(err)
+    })
+  })
+
+  const has = (cid, callback) => {
+    resolver.get(cid, (err) => callback(null, !err))
+  }
+
+  const sorted = (cids) => cids.map((cid) => cid.toBaseEncodedString()).sort()
+
+  it('removes a node and all its descendants', (done) => {
+    resolver.remove(cidRoot, { recursive: true }, (err, result) => {
+      expect(err).to.not.exist()
+      expect(sorted(result.removed)).to.eql(sorted([cidRoot, cidLeaf, cidShared]))
+      expect(result.retained).to.eql([])
+      has(cidShared, (err, exists) => {
+        expect(err).to.not.exist()
+        expect(exists).to.be.false()
+        done()
+      })
+    })
+  })
+
+  it('retains blocks reachable from the keep roots', async () => {
+    const result = await resolver.remove(cidRoot, { recursive: true, keep: [cidOther] })
+    expect(sorted(result.removed)).to.eql(sorted([cidRoot, cidLeaf]))
+    expect(result.retained).to.eql([cidShared])
+    const node = await resolver.get(cidOther, 'shared/shared')
+    expect(node.value).to.equal(true)
+  })
+
+  it('retains everything if the node itself is kept', async () => {
+    const result = await resolver.remove(cidRoot, { recursive: true, keep: [cidRoot] })
+    expect(result.removed).to.eql([])
+    expect(result.retained.length).to.equal(3)
+  })
+
+  it('removes only the node without recursive', (done) => {
+    resolver.remove(cidRoot, (err) => {
+      expect(err).to.not.exist()
+      has(cidLeaf, (err, exists) => {
+        expect(err).to.not.exist()
+        expect(exists).to.be.true()
+        done()
+      })
+    })
+  })
+
+  it('fails on an invalid CID', (done) => {
+    resolver.remove('invalid', (err) => {
+      expect(err.code).to.equal('ERR_INVALID_CID')
+      done()
+    })
+  })
+
+  it('removes nothing if a descendant is missing', (done) => {
+    waterfall([
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => resolver.put({ missing: cid, leaf: cidLeaf }, { format: 'dag-cbor' }, cb),
+      (cid, cb) => resolver.remove(cid, { recursive: true }, (err) => {
+        expect(err).to.exist()
+        has(cidLeaf, cb)
+      })
+    ], (err, exists) => {
+      expect(err).to.not.exist()
+      expect(exists).to.be.true()
+      done()
+    })
+  })
+})
@@ -0,0 +1,241 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const dagPB = require('ipld-dag-pb')
+const pull = require('pull-stream')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver selectors', () => {
+  let resolver
+
+  let cidPb
+  let cidLeaf
+  let cidMiddle
+  let cidRoot
+
+  // root -> middle -> leaf, root also links to leaf directly and to a dag-pb
+  // node that links to leaf as well
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put({ name: 'leaf', list: [1, 2, 3] }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ name: 'middle', child: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidMiddle = cid
+        dagPB.DAGNode.create(Buffer.from('pb'), [
+          { name: 'leaf', size: 1, cid: cidLeaf }
+        ], cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cid, cb) => {
+        cidPb = cid
+        resolver.put({
+          name: 'root',
+          child: cidMiddle,
+          nested: { leaf: cidLeaf },
+          pb: cidPb
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  const select = (cid, selector, callback) => {
+    pull(
+      resolver.selectStream(cid, selector),
+      pull.collect((err, matches) => {
+        if (err) {
+          return callback(err)
+        }
+        callback(null, matches.map((match) => match.path).sort())
+      })
+    )
+  }
+
+  // Matches every node and follows all fields and links
+  const everything = (limit) => ({
+    exploreRecursive: {
+      limit: limit,
+      sequence: {
+        exploreUnion: [
+          { matcher: {} },
+          { exploreAll: { next: { exploreRecursiveEdge: {} } } }
+        ]
+      }
+    }
+  })
+
+  it('matches the root', (done) => {
+    pull(
+      resolver.selectStream(cidRoot, { matcher: {} }),
+      pull.collect((err, matches) => {
+        expect(err).to.not.exist()
+        expect(matches).to.have.length(1)
+        expect(matches[0].path).to.equal('')
+        expect(matches[0].cid).to.eql(cidRoot)
+        expect(matches[0].value.name).to.equal('root')
+        done()
+      })
+    )
+  })
+
+  it('explores fields across links', (done) => {
+    pull(
+      resolver.selectStream(cidRoot, {
+        exploreFields: {
+          fields: {
+            child: {
+              exploreFields: {
+                fields: {
+                  child: { exploreFields: { fields: { name: { matcher: {} } } } },
+                  nonexistent: { matcher: {} }
+                }
+              }
+            }
+          }
+        }
+      }),
+      pull.collect((err, matches) => {
+        expect(err).to.not.exist()
+        expect(matches).to.eql([
+          { path: 'child/child/name', cid: cidLeaf, value: 'leaf' }
+        ])
+        done()
+      })
+    )
+  })
+
+  it('matches nodes of other formats', (done) => {
+    pull(
+      resolver.selectStream(cidRoot, {
+        exploreFields: { fields: { pb: { matcher: {} } } }
+      }),
+      pull.collect((err, matches) => {
+        expect(err).to.not.exist()
+        expect(matches).to.have.length(1)
+        expect(matches[0].cid).to.eql(cidPb)
+        expect(matches[0].value.data).to.eql(Buffer.from('pb'))
+        done()
+      })
+    )
+  })
+
+  it('explores all fields', (done) => {
+    select(cidRoot, { exploreAll: { next: { matcher: {} } } }, (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.eql(['child', 'name', 'nested', 'pb'])
+      done()
+    })
+  })
+
+  it('explores ranges and indexes of lists', (done) => {
+    const list = (next) => ({
+      exploreFields: { fields: { nested: { exploreFields: { fields: { leaf: { exploreFields: { fields: { list: next } } } } } } } }
+    })
+    select(cidRoot, {
+      exploreUnion: [
+        list({ exploreRange: { start: 1, end: 5, next: { matcher: {} } } }),
+        list({ exploreIndex: { index: 0, next: { matcher: {} } } })
+      ]
+    }, (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.eql(['nested/leaf/list/0', 'nested/leaf/list/1', 'nested/leaf/list/2'])
+      done()
+    })
+  })
+
+  it('explores recursively up to a depth', (done) => {
+    select(cidRoot, everything({ depth: 3 }), (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.eql([
+        '', 'child', 'child/child', 'child/name', 'name', 'nested',
+        'nested/leaf', 'pb', 'pb/Data', 'pb/Links'
+      ])
+      done()
+    })
+  })
+
+  it('explores recursively across formats without a limit', (done) => {
+    select(cidRoot, everything({ none: {} }), (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.include('child/child/list/2')
+      expect(paths).to.include('pb/Links/0/Hash/name')
+      expect(paths).to.include('pb/Links/0/Tsize')
+      done()
+    })
+  })
+
+  it('stops recursion at a condition', (done) => {
+    const selector = everything({ none: {} })
+    selector.exploreRecursive.stopAt = { hasField: 'list' }
+    select(cidRoot, selector, (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.not.include('child/child')
+      expect(paths).to.not.include('nested/leaf')
+      expect(paths).to.include('child/name')
+      done()
+    })
+  })
+
+  it('stops recursion at a value', (done) => {
+    const selector = everything({ none: {} })
+    selector.exploreRecursive.stopAt = { hasValue: 'middle' }
+    select(cidMiddle, selector, (err, paths) => {
+      expect(err).to.not.exist()
+      expect(paths).to.eql(['', 'child', 'child/list', 'child/list/0',
+        'child/list/1', 'child/list/2', 'child/name'])
+      done()
+    })
+  })
+
+  it('works with async iterators', async () => {
+    const values = []
+    for await (const match of resolver.selectIterator(cidRoot, {
+      exploreFields: { fields: { name: { matcher: {} } } }
+    })) {
+      values.push(match.value)
+    }
+    expect(values).to.eql(['root'])
+  })
+
+  it('fails on an invalid selector', (done) => {
+    select(cidRoot, { exploreAll: { next: { unknown: {} } } }, (err) => {
+      expect(err).to.be.an.instanceof(IPLDResolver.errors.InvalidArgumentError)
+      expect(err.message).to.contain('selector.exploreAll.next')
+      done()
+    })
+  })
+
+  it('fails on an edge outside of a recursion', (done) => {
+    select(cidRoot, { exploreAll: { next: { exploreRecursiveEdge: {} } } }, (err) => {
+      expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+      done()
+    })
+  })
+
+  it('fails if a block is missing', (done) => {
+    waterfall([
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => resolver.put({ missing: cid }, { format: 'dag-cbor' }, cb),
+      (cid, cb) => select(cid, everything({ none: {} }), cb)
+    ], (err) => {
+      expect(err.code).to.equal('ERR_BLOCK_NOT_FOUND')
+      done()
+    })
+  })
+})
@@ -0,0 +1,109 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagCBOR = require('ipld-dag-cbor')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver stat', () => {
+  let resolver
+
+  let cidRaw
+  let cidLeaf
+  let cidA
+  let cidB
+  let cidRoot
+  let sizes
+
+  // root links to raw, a and b; b links to a and leaf; a links to leaf
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        resolver.put(Buffer.from('raw data'), { format: 'raw' }, cb)
+      },
+      (cid, cb) => {
+        cidRaw = cid
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidA = cid
+        resolver.put({ a: cidA, leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidB = cid
+        resolver.put({ raw: cidRaw, a: cidA, b: cidB }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidRoot = cid
+        resolver.bs.getMany([cidRaw, cidLeaf, cidA, cidB, cidRoot], cb)
+      }
+    ], (err, blocks) => {
+      sizes = blocks.map((block) => block.data.length)
+      done(err)
+    })
+  })
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+  it('reports statistics of a single block by default', (done) => {
+    resolver.stat(cidRoot, (err, stats) => {
+      expect(err).to.not.exist()
+      expect(stats).to.eql({
+        blocks: 1,
+        size: sizes[4],
+        depth: 0,
+        links: 3,
+        codecs: {
+          'dag-cbor': { blocks: 1, size: sizes[4] }
+        }
+      })
+      done()
+    })
+  })
+
+  it('reports statistics of the whole DAG if recursive', (done) => {
+    resolver.stat(cidRoot, { recursive: true }, (err, stats) => {
+      expect(err).to.not.exist()
+      expect(stats).to.eql({
+        blocks: 5,
+        size: sum(sizes),
+        depth: 3,
+        links: 6,
+        codecs: {
+          'dag-cbor': { blocks: 4, size: sum(sizes.slice(1)) },
+          raw: { blocks: 1, size: sizes[0] }
+        }
+      })
+      done()
+    })
+  })
+
+  it('reports a depth of 0 for a leaf', async () => {
+    const stats = await resolver.stat(cidLeaf, { recursive: true })
+    expect(stats.blocks).to.equal(1)
+    expect(stats.depth).to.equal(0)
+    expect(stats.links).to.equal(0)
+  })
+
+  it('fails if a block is missing', (done) => {
+    waterfall([
+      (cb) => dagCBOR.util.cid({ missing: true }, cb),
+      (cid, cb) => resolver.put({ missing: cid }, { format: 'dag-cbor' }, cb),
+      (cid, cb) => resolver.stat(cid, { recursive: true }, cb)
+    ], (err) => {
+      expect(err).to.exist()
+      done()
+    })
+  })
+})
@@ -0,0 +1,298 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagPB = require('ipld-dag-pb')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver transactions', () => {
+  let resolver
+
+  let cidFile
+  let cidDir
+  let cidLeaf
+  let cidRoot
+
+  // A dag-cbor root that links to two dag-cbor leaves, one of them twice,
+  // and to a dag-pb directory with a single file
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        dagPB.DAGNode.create(Buffer.from('file'), cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cid, cb) => {
+        cidFile = cid
+        dagPB.DAGNode.create(Buffer.from('dir'), [{
+          name: 'file.txt',
+          size: 10,
+          cid: cidFile
+        }], cb)
+      },
+      (node, cb) => resolver.put(node, { format: 'dag-pb' }, cb),
+      (cid, cb) => {
+        cidDir = cid
+        resolver.put({
+          title: 'leaf',
+          tags: ['a', 'b', 'c']
+        }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({
+          meta: { version: 1, draft: true },
+          leaf: cidLeaf,
+          copy: cidLeaf,
+          dir: cidDir
+        }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  it('re-creates shared ancestors only once', async () => {
+    const result = await resolver.transaction(cidRoot)
+      .set('meta/version', 2)
+      .set('leaf/title', 'changed')
+      .set('leaf/tags/0', 'z')
+      .set('dir/file.txt/Data', Buffer.from('changed'))
+      .commit()
+
+    // The root, the leaf, the directory and the file
+    expect(result.blocks).to.have.length(4)
+    expect(result.blocks[0].cid).to.eql(result.cid)
+
+    const root = await resolver.get(result.cid)
+    expect(root.value.meta).to.eql({ version: 2, draft: true })
+    const leaf = await resolver.get(result.cid, 'leaf')
+    expect(leaf.value).to.eql({ title: 'changed', tags: ['z', 'b', 'c'] })
+    const data = await resolver.get(result.cid, 'dir/file.txt/Data')
+    expect(data.value).to.eql(Buffer.from('changed'))
+  })
+
+  it('changes every link to the same block separately', async () => {
+    const result = await resolver.transaction(cidRoot)
+      .set('leaf/title', 'leaf')
+      .set('copy/title', 'copy')
+      .commit()
+
+    const leaf = await resolver.get(result.cid, 'leaf/title')
+    expect(leaf.value).to.equal('leaf')
+    expect(leaf.cid).to.eql(cidLeaf)
+    const copy = await resolver.get(result.cid, 'copy/title')
+    expect(copy.value).to.equal('copy')
+  })
+
+  it('deletes values', async () => {
+    const result = await resolver.transaction(cidRoot)
+      .delete('meta/draft')
+      .delete('leaf/tags/1')
+      .delete('dir/file.txt')
+      .commit()
+
+    const meta = await resolver.get(result.cid, 'meta')
+    expect(meta.value).to.eql({ version: 1 })
+    const tags = await resolver.get(result.cid, 'leaf/tags')
+    expect(tags.value).to.eql(['a', 'c'])
+    const dir = await resolver.get(result.cid, 'dir')
+    expect(dir.value.links).to.eql([])
+  })
+
+  it('inserts links', async () => {
+    const result = await resolver.transaction(cidRoot)
+      .link('meta/leaf', cidLeaf)
+      .link('dir/other.txt', cidFile)
+      .link('dir/sized.txt', cidFile, { size: 42 })
+      .commit()
+
+    const leaf = await resolver.get(result.cid, 'meta/leaf/title')
+    expect(leaf.value).to.equal('leaf')
+
+    const dir = await resolver.get(result.cid, 'dir')
+    const block = await new Promise((resolve, reject) => {
+      resolver.bs.get(cidFile, (err, block) => err ? reject(err) : resolve(block))
+    })
+    expect(dir.value.links.map((link) => [link.name, link.size])).to.eql([
+      ['file.txt', 10],
+      ['other.txt', block.data.length],
+      ['sized.txt', 42]
+    ])
+  })
+
+  it('changes a dag-pb link by its name and by its index at once', async () => {
+    const result = await resolver.transaction(cidRoot)
+      .set('dir/file.txt/Data', Buffer.from('changed'))
+      .link('dir/Links/0/Hash/extra', cidLeaf)
+      .commit()
+
+    const data = await resolver.get(result.cid, 'dir/file.txt/Data')
+    expect(data.value).to.eql(Buffer.from('changed'))
+    const file = await resolver.get(result.cid, 'dir/file.txt')
+    expect(file.value.links.map((link) => link.name)).to.eql(['extra'])
+  })
+
+  it('updates the sizes of added and removed dag-pb links', async () => {
+    const cumulativeSize = (cid) => new Promise((resolve, reject) => {
+      resolver._cumulativeSize(cid, (err, size) => err ? reject(err) : resolve(size))
+    })
+    const original = await cumulativeSize(cidFile)
+
+    const added = await resolver.transaction(cidRoot)
+      .link('dir/file.txt/extra', cidFile)
+      .commit()
+    const dir = await resolver.get(added.cid, 'dir')
+    const file = dir.value.links[0]
+    expect(file.size).to.equal(10 + await cumulativeSize(file.cid) - original)
+
+    const removed = await resolver.transaction(added.cid)
+      .delete('dir/file.txt/extra')
+      .commit()
+    const link = (await resolver.get(removed.cid, 'dir')).value.links[0]
+    expect(link.size).to.equal(10)
+    expect(link.cid).to.eql(cidFile)
+  })
+
+  it('removes list items at their original indices', async () => {
+    const result = await resolver.transaction(cidRoot)
+      .delete('leaf/tags/0')
+      .delete('leaf/tags/1')
+      .set('leaf/tags/2', 'z')
+      .commit()
+
+    const tags = await resolver.get(result.cid, 'leaf/tags')
+    expect(tags.value).to.eql(['z'])
+  })
+
+  it('stores all blocks with a single batch', async () => {
+    const putMany = resolver.bs.putMany
+    let batches = 0
+    resolver.bs.putMany = function () {
+      batches++
+      return putMany.apply(this, arguments)
+    }
+
+    try {
+      await resolver.transaction(cidRoot)
+        .set('leaf/title', 'batch')
+        .set('dir/file.txt/Data', Buffer.from('batch'))
+        .commit()
+    } finally {
+      resolver.bs.putMany = putMany
+    }
+    expect(batches).to.equal(1)
+  })
+
+  it('continues from the new root', async () => {
+    const transaction = resolver.transaction(cidRoot)
+    const first = await transaction.set('meta/version', 2).commit()
+    expect(transaction.root).to.eql(first.cid)
+
+    const second = await transaction.set('meta/draft', false).commit()
+    const meta = await resolver.get(second.cid, 'meta')
+    expect(meta.value).to.eql({ version: 2, draft: false })
+  })
+
+  it('discards changes', async () => {
+    const transaction = resolver.transaction(cidRoot)
+      .set('meta/version', 2)
+      .delete('leaf')
+    expect(transaction.size).to.equal(2)
+
+    transaction.discard()
+    expect(transaction.size).to.equal(0)
+    const result = await transaction.commit()
+    expect(result).to.eql({ cid: cidRoot, blocks: [] })
+  })
+
+  it('only creates the blocks with onlyHash', (done) => {
+    resolver.transaction(cidRoot)
+      .set('leaf/title', 'not stored')
+      .commit({ onlyHash: true }, (err, result) => {
+        expect(err).to.not.exist()
+        resolver.bs.get(result.cid, (err) => {
+          expect(err).to.exist()
+          done()
+        })
+      })
+  })
+
+  it('keeps the changes if committing fails', (done) => {
+    const transaction = resolver.transaction(cidRoot)
+      .set('meta/version', 2)
+      .set('missing/key', 1)
+    transaction.commit((err) => {
+      expect(err.code).to.equal('ERR_PATH_NOT_FOUND')
+      expect(transaction.size).to.equal(2)
+      expect(transaction.root).to.eql(cidRoot)
+      done()
+    })
+  })
+
+  it('neither stores anything nor loses the changes on a timeout', (done) => {
+    const get = resolver.bs.get
+    const putMany = resolver.bs.putMany
+    let stored = false
+    resolver.bs.get = function () {
+      const args = arguments
+      setTimeout(() => get.apply(this, args), 50)
+    }
+    resolver.bs.putMany = function () {
+      stored = true
+      return putMany.apply(this, arguments)
+    }
+
+    const transaction = resolver.transaction(cidRoot)
+      .set('meta/version', 2)
+      .set('leaf/title', 'changed')
+    transaction.commit({ timeout: 20 }, (err) => {
+      expect(err.code).to.equal('ERR_TIMEOUT')
+      expect(transaction.size).to.equal(2)
+
+      // Wait until the blocks would have been loaded
+      setTimeout(() => {
+        resolver.bs.get = get
+        resolver.bs.putMany = putMany
+        expect(stored).to.be.false()
+        expect(transaction.root).to.eql(cidRoot)
+        expect(transaction.size).to.equal(2)
+        done()
+      }, 200)
+    })
+  })
+
+  it('fails on changes below a replaced link', (done) => {
+    resolver.transaction(cidRoot)
+      .set('leaf', 'replaced')
+      .set('leaf/title', 'changed')
+      .commit((err) => {
+        expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+        done()
+      })
+  })
+
+  it('fails on removing dag-pb data', (done) => {
+    resolver.transaction(cidRoot)
+      .delete('dir/Data')
+      .commit((err) => {
+        expect(err.code).to.equal('ERR_INVALID_ARGUMENT')
+        done()
+      })
+  })
+
+  it('fails on invalid arguments', () => {
+    expect(() => resolver.transaction('invalid')).to.throw(IPLDResolver.errors.InvalidCIDError)
+    const transaction = resolver.transaction(cidRoot)
+    expect(() => transaction.set('a\\', 1)).to.throw(IPLDResolver.errors.InvalidArgumentError)
+    expect(() => transaction.link('a', 'not a CID')).to.throw(IPLDResolver.errors.InvalidCIDError)
+    expect(transaction.size).to.equal(0)
+  })
+})
@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+const dirtyChai = require('dirty-chai')
+const expect = chai.expect
+chai.use(dirtyChai)
+const dagPB = require('ipld-dag-pb')
+const pull = require('pull-stream')
+const waterfall = require('async/waterfall')
+
+const IPLDResolver = require('../src')
+
+describe('IPLD Resolver walk', () => {
+  let resolver
+
+  let nodePb
+  let cidPb
+  let cidLeaf
+  let cidA
+  let cidB
+  let cidRoot
+
+  //        root
+  //       /    \
+  //      a      b
+  //     / \     |
+  //   pb  leaf  leaf
+  before((done) => {
+    waterfall([
+      (cb) => IPLDResolver.inMemory(cb),
+      (res, cb) => {
+        resolver = res
+        dagPB.DAGNode.create(Buffer.from('I am inside a Protobuf'), cb)
+      },
+      (node, cb) => {
+        nodePb = node
+        resolver.put(nodePb, { format: 'dag-pb', hashAlg: 'sha2-256', version: 0 }, cb)
+      },
+      (cid, cb) => {
+        cidPb = cid
+        resolver.put({ leaf: true }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidLeaf = cid
+        resolver.put({ leaf: cidLeaf, pb: cidPb }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidA = cid
+        resolver.put({ leaf: cidLeaf }, { format: 'dag-cbor' }, cb)
+      },
+      (cid, cb) => {
+        cidB = cid
+        resolver.put({ a: cidA, b: cidB }, { format: 'dag-cbor' }, cb)
+      }
+    ], (err, cid) => {
+      cidRoot = cid
+      done(err)
+    })
+  })
+
+  const walk = (cid, options, callback) => {
+    pull(resolver.walkStream(cid, options), pull.collect(callback))
+  }
+
+  it('walks breadth-first by default', (done) => {
+    walk(cidRoot, {}, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries.map((entry) => entry.path)).to.eql([
+        '', 'a', 'b', 'a/pb', 'a/leaf', 'b/leaf'
+      ])
+      expect(entries.map((entry) => entry.depth)).to.eql([0, 1, 1, 2, 2, 2])
+      expect(entries.map((entry) => entry.cid)).to.eql([
+        cidRoot, cidA, cidB, cidPb, cidLeaf, cidLeaf
+      ])
+      done()
+    })
+  })
+
+  it('walks depth-first', (done) => {
+    walk(cidRoot, { order: 'depth-first' }, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries.map((entry) => entry.path)).to.eql([
+        '', 'a', 'a/pb', 'a/leaf', 'b', 'b/leaf'
+      ])
+      done()
+    })
+  })
+
+  it('emits the blocks and the deserialized nodes', (done) => {
+    walk(cidA, {}, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries[0].node).to.eql({ leaf: cidLeaf, pb: cidPb })
+      expect(entries[1].node).to.eql(nodePb)
+      expect(entries[1].block.cid).to.eql(cidPb)
+      expect(entries[2].node).to.eql({ leaf: true })
+      done()
+    })
+  })
+
+  it('stops at the maximum depth', (done) => {
+    walk(cidRoot, { maxDepth: 1 }, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries.map((entry) => entry.path)).to.eql(['', 'a', 'b'])
+      done()
+    })
+  })
+
+  it('prunes subtrees the filter rejects', (done) => {
+    walk(cidRoot, { filter: (entry) => entry.path !== 'a' }, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries.map((entry) => entry.path)).to.eql(['', 'b', 'b/leaf'])
+      done()
+    })
+  })
+
+  it('emits nothing if the filter rejects the root', (done) => {
+    walk(cidRoot, { filter: () => false }, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries).to.eql([])
+      done()
+    })
+  })
+
+  it('emits blocks only once if unique', (done) => {
+    walk(cidRoot, { unique: true }, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries.map((entry) => entry.path)).to.eql([
+        '', 'a', 'b', 'a/pb', 'a/leaf'
+      ])
+      done()
+    })
+  })
+
+  it('fails if there are more blocks than the maximum', (done) => {
+    walk(cidRoot, { maxBlocks: 5 }, (err) => {
+      expect(err.code).to.equal('ERR_TOO_MANY_BLOCKS')
+      done()
+    })
+  })
+
+  it('counts every block only once if unique', (done) => {
+    walk(cidRoot, { unique: true, maxBlocks: 5 }, (err, entries) => {
+      expect(err).to.not.exist()
+      expect(entries.length).to.equal(5)
+      done()
+    })
+  })
+
+  it('fails if a block is missing', (done) => {
+    waterfall([
+      (cb) => resolver.put({ missing: true }, { format: 'dag-cbor', onlyHash: true }, cb),
+      (cid, cb) => resolver.put({ link: cid }, { format: 'dag-cbor' }, cb)
+    ], (err, cid) => {
+      expect(err).to.not.exist()
+      walk(cid, {}, (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+  })
+
+  it('fails on an invalid order', (done) => {
+    walk(cidRoot, { order: 'random' }, (err) => {
+      expect(err.message).to.equal('Invalid traversal order "random"')
+      done()
+    })
+  })
+
+  it('is available as async iterator', async () => {
+    const depths = []
+    for await (const entry of resolver.walkIterator(cidRoot, { maxDepth: 1 })) {
+      depths.push(entry.depth)
+    }
+    expect(depths).to.eql([0, 1, 1])
+  })
+})